@@ -6,27 +6,64 @@ export const config = {
   },
 
   storage: {
+    // "json" keeps everything in incidentsFilePath; "sqlite" uses sqliteFilePath
+    driver: "json",
+
     incidentsFilePath: "./data/incidents.json",
+    sqliteFilePath: "./data/incidents.db",
+    attachmentsDir: "./data/attachments",
 
     autoSave: true,
 
+    // What to do when the data file cannot be parsed at startup:
+    // "recover" quarantines it and keeps whatever records can be salvaged,
+    // "fail" refuses to start and leaves the file untouched
+    onCorruptData: "recover",
+
     enableBackup: false,
     backupInterval: 3600000,
+    backupDir: "./data/backups",
+    backupRetention: 24,
   },
 
   incidents: {
+    // Custom statuses can be added here; config.workflow says how to reach them
     statuses: ["OPEN", "INVESTIGATING", "RESOLVED", "ARCHIVED"],
 
-    statusTransitions: {
-      OPEN: ["INVESTIGATING", "ARCHIVED"],
-      INVESTIGATING: ["RESOLVED"],
-      RESOLVED: ["ARCHIVED"],
-      ARCHIVED: ["OPEN"],
-    },
+    // Status of a newly reported incident
+    initialStatus: "OPEN",
+
+    // Statuses in which an incident counts as dealt with (e.g. for parent/child rules)
+    closedStatuses: ["RESOLVED", "ARCHIVED"],
+
+    // Status hidden from lists, search and stats unless archived incidents are asked for
+    archivedStatus: "ARCHIVED",
 
     categories: ["IT", "SAFETY", "FACILITIES", "OTHER"],
 
     severities: ["LOW", "MEDIUM", "HIGH"],
+
+    // Ways two incidents can be linked, each with the type recorded on the other one
+    linkTypes: {
+      "parent-of": "child-of",
+      "child-of": "parent-of",
+      "related-to": "related-to",
+      "caused-by": "causes",
+      causes: "caused-by",
+      "duplicate-of": "duplicated-by",
+      "duplicated-by": "duplicate-of",
+    },
+
+    // How each link type reads from the incident that has it, for clients to show
+    linkLabels: {
+      "parent-of": "Parent of",
+      "child-of": "Child of",
+      "related-to": "Related to",
+      "caused-by": "Caused by",
+      causes: "Causes",
+      "duplicate-of": "Duplicate of",
+      "duplicated-by": "Duplicated by",
+    },
   },
 
   validation: {
@@ -38,11 +75,144 @@ export const config = {
       minLength: 10,
       maxLength: 2000,
     },
+    reportedBy: {
+      maxLength: 100,
+    },
+    location: {
+      maxLength: 200,
+    },
+    reason: {
+      maxLength: 500,
+    },
+    comment: {
+      minLength: 1,
+      maxLength: 5000,
+    },
   },
 
   bulkUpload: {
     maxFileSize: 5242880,
-    allowedMimeTypes: ["text/csv", "application/vnd.ms-excel"],
+    allowedMimeTypes: [
+      "text/csv",
+      "application/vnd.ms-excel",
+      "text/plain",
+      "text/tab-separated-values",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ],
+    // Accepted when a client sends a generic type (application/octet-stream)
+    allowedExtensions: [".csv", ".tsv", ".txt", ".xlsx"],
+
+    // Uploaded files wait here until their import job has read them
+    uploadDir: "./data/uploads",
+    // Finished import jobs kept in memory for status lookups
+    jobRetention: 50,
+    // Every import batch, kept so bad imports can be rolled back
+    historyFilePath: "./data/imports.json",
+
+    // Other header names accepted for each import field (matched case-insensitively)
+    headerAliases: {
+      title: ["summary", "subject", "name"],
+      description: ["details", "desc", "body"],
+      category: ["type", "area", "department"],
+      severity: ["priority", "impact", "urgency"],
+      status: ["state"],
+      reportedBy: ["reporter", "reported by", "reported_by", "submitter"],
+      location: ["site", "place"],
+      reportedAt: ["reported at", "reported_at", "reported", "date", "created"],
+    },
+
+    // Values translated before validation (keys matched case-insensitively)
+    valueMappings: {
+      category: {
+        OPERATIONS: "FACILITIES",
+        MAINTENANCE: "FACILITIES",
+        HEALTH: "SAFETY",
+      },
+      severity: {
+        P1: "HIGH",
+        P2: "MEDIUM",
+        P3: "LOW",
+        CRITICAL: "HIGH",
+      },
+    },
+  },
+
+  pagination: {
+    defaultLimit: 20,
+    maxLimit: 100,
+    sortableFields: ["reportedAt", "title", "category", "severity", "status"],
+  },
+
+  attachments: {
+    maxFileSize: 10485760,
+    allowedMimeTypes: [
+      "image/jpeg",
+      "image/png",
+      "image/gif",
+      "image/webp",
+      "application/pdf",
+      "text/plain",
+      "text/csv",
+      "application/json",
+      "application/zip",
+    ],
+  },
+
+  duplicates: {
+    // What happens to a likely duplicate, unless a request asks otherwise:
+    // "warn" creates it and flags the match, "skip" refuses it,
+    // "attach" creates it marked as a duplicate of the match
+    policy: "warn",
+    policies: ["warn", "skip", "attach"],
+    // Only incidents in the same category reported this close together are compared
+    windowDays: 7,
+    // Similarity (0-1) of the normalized title and description that counts as a match
+    threshold: 0.7,
+    titleWeight: 0.6,
+  },
+
+  // How incidents move between statuses (applied by src/store/workflow.js)
+  workflow: {
+    // name -> { from, to, guards, hooks, system }
+    // guards, all optional:
+    //   requiredFields: ["location"]  fields that must be filled in first
+    //   roles: ["lead"]               only actors in one of these roles
+    //   requireComment: true          a reason must be given with the change
+    //   noOpenChildren: true          every child incident must be closed
+    //   parentOpen: true              the parent incident, if any, must be open
+    // hooks run in order before the change is saved:
+    //   { type: "stamp", field }      set the field to the time of the change
+    //   { type: "clear", field }      set the field to null
+    // system: true marks a transition only the server takes, never offered to
+    // users; "merge" archives the incidents folded into another one
+    transitions: {
+      investigate: { from: ["OPEN"], to: "INVESTIGATING" },
+      resolve: {
+        from: ["INVESTIGATING"],
+        to: "RESOLVED",
+        guards: { noOpenChildren: true },
+        hooks: [{ type: "stamp", field: "resolvedAt" }],
+      },
+      archive: {
+        from: ["OPEN", "RESOLVED"],
+        to: "ARCHIVED",
+        guards: { noOpenChildren: true },
+      },
+      reset: {
+        from: ["ARCHIVED"],
+        to: "OPEN",
+        guards: { parentOpen: true },
+        hooks: [{ type: "clear", field: "resolvedAt" }],
+      },
+      merge: {
+        from: ["OPEN", "INVESTIGATING", "RESOLVED"],
+        to: "ARCHIVED",
+        system: true,
+      },
+    },
+
+    // role -> actor names (as sent in X-Actor), for transitions guarded by roles
+    roles: {},
   },
 
   dashboard: {
@@ -0,0 +1,55 @@
+/**
+ * One-shot migration from the JSON data file into SQLite
+ *
+ * Usage: npm run migrate:sqlite [-- --force]
+ *
+ * Reads config.storage.incidentsFilePath and writes every incident into
+ * config.storage.sqliteFilePath. Refuses to touch a database that already
+ * holds incidents unless --force is given. The JSON file is left in place;
+ * switch config.storage.driver to "sqlite" once the counts look right.
+ */
+
+import fs from "fs/promises";
+import { config } from "../config.js";
+import { createAdapter } from "../src/store/adapters/index.js";
+
+async function migrate() {
+  const force = process.argv.includes("--force");
+
+  const data = await fs.readFile(config.storage.incidentsFilePath, "utf-8");
+  const incidents = JSON.parse(data);
+  if (!Array.isArray(incidents)) {
+    throw new Error(
+      `${config.storage.incidentsFilePath} does not contain an incidents array`,
+    );
+  }
+
+  const sqlite = await createAdapter("sqlite");
+  await sqlite.init();
+
+  try {
+    const existing = sqlite.list().length;
+    if (existing > 0 && !force) {
+      throw new Error(
+        `${config.storage.sqliteFilePath} already contains ${existing} incidents. Re-run with --force to replace them.`,
+      );
+    }
+
+    await sqlite.replaceAll(incidents);
+    const migrated = sqlite.list().length;
+
+    console.log(
+      `Migrated ${migrated} of ${incidents.length} incidents from ${config.storage.incidentsFilePath} to ${config.storage.sqliteFilePath}`,
+    );
+    if (migrated !== incidents.length) {
+      throw new Error("Incident counts do not match after migration");
+    }
+  } finally {
+    await sqlite.close();
+  }
+}
+
+migrate().catch((error) => {
+  console.error("Migration failed:", error.message);
+  process.exit(1);
+});
@@ -1,5 +1,6 @@
 import app from "./src/app.js";
-import { initializeStore } from "./src/store/incidents.store.js";
+import { initializeStore, closeStore } from "./src/store/incidents.store.js";
+import { startBackupSchedule } from "./src/store/backups.js";
 import { config } from "./config.js";
 
 async function startServer() {
@@ -8,13 +9,25 @@ async function startServer() {
     await initializeStore();
     console.log("Store initialized successfully");
 
+    startBackupSchedule();
+
     const PORT = process.env.PORT || config.server.port;
     app.listen(PORT, () => {
       console.log(
         `IncidentTracker API running on http://${config.server.host}:${PORT}`,
       );
-      console.log(`Data file: ${config.storage.incidentsFilePath}`);
+      console.log(
+        `Storage: ${config.storage.driver} (${config.storage.driver === "sqlite" ? config.storage.sqliteFilePath : config.storage.incidentsFilePath})`,
+      );
     });
+
+    // Let pending writes finish and release the database before exiting
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.on(signal, async () => {
+        await closeStore();
+        process.exit(0);
+      });
+    }
   } catch (error) {
     console.error("Failed to start server:", error);
     process.exit(1);
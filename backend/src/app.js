@@ -2,7 +2,14 @@ import express from "express";
 import cors from "cors";
 
 import incidentsRouter from "./routes/incidents.routes.js";
+import commentsRouter from "./routes/comments.routes.js";
+import attachmentsRouter from "./routes/attachments.routes.js";
+import linksRouter from "./routes/links.routes.js";
+import backupsRouter from "./routes/backups.routes.js";
+import importsRouter from "./routes/imports.routes.js";
+import metaRouter from "./routes/meta.routes.js";
 import { config } from "../config.js";
+import { getStartupReport } from "./store/incidents.store.js";
 
 const app = express();
 
@@ -15,10 +22,17 @@ app.use(
 app.use(express.json());
 
 app.get("/health", (req, res) => {
-  res.json({ status: "ok" });
+  const recovery = getStartupReport();
+  res.json(recovery ? { status: "ok", recovery } : { status: "ok" });
 });
 
 app.use("/api/incidents", incidentsRouter);
+app.use("/api/incidents/:id/comments", commentsRouter);
+app.use("/api/incidents/:id/attachments", attachmentsRouter);
+app.use("/api/incidents/:id/links", linksRouter);
+app.use("/api/backups", backupsRouter);
+app.use("/api/imports", importsRouter);
+app.use("/api/meta", metaRouter);
 
 app.use((req, res) => {
   res.status(404).json({ error: "Route not found" });
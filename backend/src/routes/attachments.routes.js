@@ -0,0 +1,160 @@
+import express from "express";
+import multer from "multer";
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+import {
+  findById,
+  findAttachment,
+  listAttachments,
+  addAttachment,
+  deleteAttachment,
+  attachmentPath,
+} from "../store/incidents.store.js";
+import { getActor } from "../utils/actor.js";
+import {
+  etagFor,
+  ifMatchPasses,
+  sendPreconditionFailed,
+} from "../utils/etag.js";
+import { config } from "../../config.js";
+
+// Mounted under /api/incidents/:id/attachments, so :id comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+// Files go to <attachmentsDir>/<incidentId>/<random name><original extension>
+const upload = multer({
+  storage: multer.diskStorage({
+    destination(req, file, cb) {
+      const dir = path.resolve(config.storage.attachmentsDir, req.params.id);
+      fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+    },
+    filename(req, file, cb) {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `${randomUUID()}${ext}`);
+    },
+  }),
+  limits: { fileSize: config.attachments.maxFileSize },
+  fileFilter(req, file, cb) {
+    if (!config.attachments.allowedMimeTypes.includes(file.mimetype)) {
+      const err = new Error(`File type not allowed: ${file.mimetype}`);
+      err.code = "UNSUPPORTED_TYPE";
+      return cb(err);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Runs the multer upload and turns its errors into API responses
+ * - 413 when the file exceeds config.attachments.maxFileSize
+ * - 415 when the MIME type is not in config.attachments.allowedMimeTypes
+ * - 400 for other multer errors, such as an unexpected field or too many files
+ */
+function uploadSingle(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: `File exceeds the ${config.attachments.maxFileSize} byte limit`,
+      });
+    }
+    if (err.code === "UNSUPPORTED_TYPE") {
+      return res.status(415).json({ error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  });
+}
+
+// Removes an uploaded file that did not end up attached to the incident
+async function discardUpload(file) {
+  if (file) await fs.promises.unlink(file.path).catch(() => {});
+}
+
+// Reject unknown incidents and stale If-Match before multer writes anything to disk
+function requireIncident(req, res, next) {
+  const incident = findById(req.params.id);
+  if (!incident) return res.status(404).json({ error: "Incident not found" });
+  if (!ifMatchPasses(req, incident)) {
+    return sendPreconditionFailed(res, incident);
+  }
+  next();
+}
+
+router.get("/", (req, res) => {
+  const attachments = listAttachments(req.params.id);
+  if (!attachments) {
+    return res.status(404).json({ error: "Incident not found" });
+  }
+  res.json(attachments);
+});
+
+router.post("/", requireIncident, uploadSingle, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded" });
+    }
+
+    const attachment = await addAttachment(req.params.id, req.file, {
+      actor: getActor(req),
+    });
+    if (!attachment) {
+      // The incident was deleted while the file was uploading
+      await discardUpload(req.file);
+      return res.status(404).json({ error: "Incident not found" });
+    }
+    // Attachments are part of the incident, so its version (and ETag) moved on
+    res.set("ETag", etagFor(findById(req.params.id)));
+    res.status(201).json(attachment);
+  } catch (error) {
+    console.error("Error adding attachment:", error);
+    await discardUpload(req.file);
+    res.status(500).json({ error: "Failed to add attachment" });
+  }
+});
+
+router.get("/:attachmentId", (req, res) => {
+  const attachment = findAttachment(req.params.id, req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({ error: "Attachment not found" });
+  }
+
+  res.type(attachment.mimeType);
+  res.download(
+    attachmentPath(req.params.id, attachment),
+    attachment.name,
+    (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: "Attachment file is missing" });
+      }
+    },
+  );
+});
+
+router.delete("/:attachmentId", async (req, res) => {
+  try {
+    const incident = findById(req.params.id);
+    if (incident && !ifMatchPasses(req, incident)) {
+      return sendPreconditionFailed(res, incident);
+    }
+
+    const removed = await deleteAttachment(
+      req.params.id,
+      req.params.attachmentId,
+    );
+    if (!removed) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+    res.set("ETag", etagFor(findById(req.params.id)));
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting attachment:", error);
+    res.status(500).json({ error: "Failed to delete attachment" });
+  }
+});
+
+export default router;
@@ -0,0 +1,47 @@
+import express from "express";
+
+import {
+  createBackup,
+  listBackups,
+  restoreBackup,
+  isValidBackupName,
+} from "../store/backups.js";
+
+const router = express.Router();
+
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listBackups());
+  } catch (error) {
+    console.error("Error listing backups:", error);
+    res.status(500).json({ error: "Failed to list backups" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const backup = await createBackup("manual");
+    res.status(201).json(backup);
+  } catch (error) {
+    console.error("Error creating backup:", error);
+    res.status(500).json({ error: "Failed to create backup" });
+  }
+});
+
+router.post("/:name/restore", async (req, res) => {
+  try {
+    if (!isValidBackupName(req.params.name)) {
+      return res.status(400).json({ error: "Invalid backup name" });
+    }
+
+    const result = await restoreBackup(req.params.name);
+    if (!result) return res.status(404).json({ error: "Backup not found" });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    res.status(500).json({ error: "Failed to restore backup" });
+  }
+});
+
+export default router;
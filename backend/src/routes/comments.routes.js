@@ -0,0 +1,117 @@
+import express from "express";
+
+import {
+  findById,
+  findComment,
+  listComments,
+  addComment,
+  updateComment,
+  deleteComment,
+} from "../store/incidents.store.js";
+import { validateComment } from "../utils/validate.js";
+import { getActor } from "../utils/actor.js";
+import {
+  etagFor,
+  ifMatchPasses,
+  sendPreconditionFailed,
+} from "../utils/etag.js";
+
+// Mounted under /api/incidents/:id/comments, so :id comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Checks that the requester wrote a comment, before it is edited or deleted
+ * @returns {string|null} Why the change is refused, or null to allow it
+ *
+ * Everyone who sends no name counts as "anonymous", so an anonymous
+ * requester cannot prove they wrote anything, not even anonymous comments.
+ */
+function authorError(req, comment, action) {
+  const actor = getActor(req);
+  if (actor === "anonymous") return `Enter your name to ${action} comments`;
+  return comment.author === actor
+    ? null
+    : `You can only ${action} your own comments`;
+}
+
+router.get("/", (req, res) => {
+  const comments = listComments(req.params.id);
+  if (!comments) return res.status(404).json({ error: "Incident not found" });
+  res.json(comments);
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const incident = findById(req.params.id);
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+    if (!ifMatchPasses(req, incident)) {
+      return sendPreconditionFailed(res, incident);
+    }
+
+    const result = validateComment(req.body);
+    if (!result.ok) return res.status(400).json({ error: result.errors });
+
+    const comment = await addComment(req.params.id, result.value, {
+      actor: getActor(req),
+    });
+    // Comments are part of the incident, so its version (and ETag) moved on
+    res.set("ETag", etagFor(findById(req.params.id)));
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error("Error adding comment:", error);
+    res.status(500).json({ error: "Failed to add comment" });
+  }
+});
+
+router.patch("/:commentId", async (req, res) => {
+  try {
+    const comment = findComment(req.params.id, req.params.commentId);
+    if (!comment) return res.status(404).json({ error: "Comment not found" });
+
+    const refused = authorError(req, comment, "edit");
+    if (refused) return res.status(403).json({ error: refused });
+
+    const incident = findById(req.params.id);
+    if (!ifMatchPasses(req, incident)) {
+      return sendPreconditionFailed(res, incident);
+    }
+
+    const result = validateComment(req.body);
+    if (!result.ok) return res.status(400).json({ error: result.errors });
+
+    const updated = await updateComment(
+      req.params.id,
+      req.params.commentId,
+      result.value,
+    );
+    res.set("ETag", etagFor(findById(req.params.id)));
+    res.json(updated);
+  } catch (error) {
+    console.error("Error updating comment:", error);
+    res.status(500).json({ error: "Failed to update comment" });
+  }
+});
+
+router.delete("/:commentId", async (req, res) => {
+  try {
+    const comment = findComment(req.params.id, req.params.commentId);
+    if (!comment) return res.status(404).json({ error: "Comment not found" });
+
+    const refused = authorError(req, comment, "delete");
+    if (refused) return res.status(403).json({ error: refused });
+
+    const incident = findById(req.params.id);
+    if (!ifMatchPasses(req, incident)) {
+      return sendPreconditionFailed(res, incident);
+    }
+
+    await deleteComment(req.params.id, req.params.commentId);
+    res.set("ETag", etagFor(findById(req.params.id)));
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    res.status(500).json({ error: "Failed to delete comment" });
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import express from "express";
+
+import { getImportJob } from "../store/importJobs.js";
+import {
+  listImportBatches,
+  rollbackImportBatch,
+} from "../store/importHistory.js";
+import { getActor } from "../utils/actor.js";
+
+const router = express.Router();
+
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listImportBatches());
+  } catch (error) {
+    console.error("Error listing imports:", error);
+    res.status(500).json({ error: "Failed to list imports" });
+  }
+});
+
+router.get("/:jobId", (req, res) => {
+  try {
+    const job = getImportJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "Import job not found" });
+
+    res.json(job);
+  } catch (error) {
+    console.error("Error fetching import job:", error);
+    res.status(500).json({ error: "Failed to fetch import job" });
+  }
+});
+
+router.post("/:id/rollback", async (req, res) => {
+  try {
+    // force may arrive in the JSON body or as a query parameter
+    const force = String(req.body?.force ?? req.query.force) === "true";
+
+    const result = await rollbackImportBatch(req.params.id, {
+      actor: getActor(req),
+      force,
+    });
+    if (!result) return res.status(404).json({ error: "Import not found" });
+
+    if (!result.ok) {
+      return res
+        .status(409)
+        .json({ error: result.error, modified: result.modified || [] });
+    }
+
+    res.json({
+      batch: result.batch,
+      removed: result.removed,
+      missing: result.missing,
+    });
+  } catch (error) {
+    console.error("Error rolling back import:", error);
+    res.status(500).json({ error: "Failed to roll back import" });
+  }
+});
+
+export default router;
@@ -1,37 +1,204 @@
 import express from "express";
 import multer from "multer";
+import fs from "fs/promises";
+import path from "path";
 
 import {
-  listAll,
+  queryIncidents,
+  queryAllIncidents,
+  getStats,
+  searchIncidents,
   findById,
   createIncident,
-  updateStatus,
-  archiveIncident,
-  resetArchivedIncident,
+  updateIncident,
+  getHistory,
 } from "../store/incidents.store.js";
-import { parseCsvBuffer } from "../utils/csv.js";
+import {
+  applyTransition,
+  listTransitions,
+  mergeThroughWorkflow,
+} from "../store/workflow.js";
+import { startImportJob } from "../store/importJobs.js";
+import {
+  findDuplicates,
+  resolveDuplicatePolicy,
+  checkImportRow,
+  createDuplicateIndex,
+} from "../store/duplicates.js";
+import {
+  importFields,
+  parseImportFile,
+  isUnreadableFileError,
+  resolveColumnMapping,
+  validateRow,
+  rejectedRowsCsv,
+} from "../utils/bulkImport.js";
 import {
   validateCreateIncident,
-  validateStatusChange,
-  validateArchive,
-  validateReset,
+  validateUpdateIncident,
+  validateListQuery,
+  validateSearchQuery,
+  validateReason,
+  validateMerge,
 } from "../utils/validate.js";
+import { toXlsx, XLSX_MIME_TYPE } from "../utils/xlsx.js";
+import { getActor } from "../utils/actor.js";
+import { config } from "../../config.js";
+import {
+  etagFor,
+  versionOf,
+  ifMatchPasses,
+  sendPreconditionFailed,
+} from "../utils/etag.js";
 
 const router = express.Router();
 
-const upload = multer({ storage: multer.memoryStorage() });
+// CSVs go to disk so large files are streamed rather than held in memory
+const upload = multer({
+  dest: config.bulkUpload.uploadDir,
+  limits: { fileSize: config.bulkUpload.maxFileSize },
+  fileFilter(req, file, cb) {
+    const { allowedMimeTypes, allowedExtensions } = config.bulkUpload;
+    const ext = path.extname(file.originalname).toLowerCase();
+    const allowed =
+      allowedMimeTypes.includes(file.mimetype) ||
+      (file.mimetype === "application/octet-stream" &&
+        allowedExtensions.includes(ext));
+
+    if (!allowed) {
+      const err = new Error(
+        `File type not allowed: ${file.mimetype}. Upload a CSV or .xlsx file`,
+      );
+      err.code = "UNSUPPORTED_TYPE";
+      return cb(err);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Runs the multer upload and turns its errors into API responses
+ * - 413 when the file exceeds config.bulkUpload.maxFileSize
+ * - 415 when the type is not in config.bulkUpload.allowedMimeTypes
+ * - 400 for other multer errors, such as an unexpected field or too many files
+ */
+function uploadCsv(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: `File exceeds the ${config.bulkUpload.maxFileSize} byte limit`,
+      });
+    }
+    if (err.code === "UNSUPPORTED_TYPE") {
+      return res.status(415).json({ error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  });
+}
 
 router.get("/", (req, res) => {
+  const result = validateListQuery(req.query);
+  if (!result.ok) return res.status(400).json({ error: result.errors });
+
+  res.json(queryIncidents(result.value));
+});
+
+// Spreadsheet columns for the export; the headers match the import aliases,
+// so an exported workbook can be uploaded again
+const EXPORT_COLUMNS = [
+  { header: "Title", key: "title", width: 40 },
+  { header: "Description", key: "description", width: 60 },
+  { header: "Category", key: "category", width: 14 },
+  { header: "Severity", key: "severity", width: 12 },
+  { header: "Status", key: "status", width: 16 },
+  { header: "Reported By", key: "reportedBy", width: 20 },
+  { header: "Location", key: "location", width: 24 },
+  { header: "Reported At", key: "reportedAt", width: 22 },
+  { header: "ID", key: "id", width: 38 },
+];
+
+router.get("/export", async (req, res) => {
+  try {
+    const result = validateListQuery(req.query);
+    if (!result.ok) return res.status(400).json({ error: result.errors });
+
+    const format = req.query.format || "xlsx";
+    if (format !== "xlsx") {
+      return res.status(400).json({ error: "format must be xlsx" });
+    }
+
+    const rows = queryAllIncidents(result.value).map((i) => ({
+      ...i,
+      reportedAt: i.reportedAt ? new Date(i.reportedAt) : null,
+    }));
+    const buffer = await toXlsx("Incidents", EXPORT_COLUMNS, rows);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`incidents-${date}.xlsx`);
+    res.type(XLSX_MIME_TYPE);
+    res.send(buffer);
+  } catch (error) {
+    console.error("Error exporting incidents:", error);
+    res.status(500).json({ error: "Failed to export incidents" });
+  }
+});
+
+router.get("/stats", (req, res) => {
   const includeArchived = req.query.includeArchived === "true";
-  res.json(listAll(includeArchived));
+  res.json(getStats(includeArchived));
+});
+
+router.get("/search", (req, res) => {
+  const result = validateSearchQuery(req.query);
+  if (!result.ok) return res.status(400).json({ error: result.errors });
+
+  const { q, ...options } = result.value;
+  res.json(searchIncidents(q, options));
 });
 
+/**
+ * Refuses changes to an incident that was merged into another
+ * It stays only as a pointer to the incident that absorbed it
+ */
+function refuseMerged(req, res, next) {
+  const incident = findById(req.params.id);
+  if (incident?.mergedInto) {
+    return res.status(409).json({
+      error: "This incident was merged into another incident",
+      mergedInto: incident.mergedInto,
+    });
+  }
+  next();
+}
+
 router.get("/:id", (req, res) => {
   const incident = findById(req.params.id);
   if (!incident) return res.status(404).json({ error: "Incident not found" });
+  // Temporary (302) rather than permanent: restoring a backup can undo a merge
+  if (incident.mergedInto) {
+    return res.redirect(302, `${req.baseUrl}/${incident.mergedInto}`);
+  }
+  res.set("ETag", etagFor(incident));
   res.json(incident);
 });
 
+// What the incident can move to next, with why any of it is not allowed yet
+router.get("/:id/transitions", (req, res) => {
+  const incident = findById(req.params.id);
+  if (!incident) return res.status(404).json({ error: "Incident not found" });
+  res.json(listTransitions(incident, { actor: getActor(req) }));
+});
+
+router.get("/:id/history", (req, res) => {
+  const history = getHistory(req.params.id);
+  if (!history) return res.status(404).json({ error: "Incident not found" });
+  res.json(history);
+});
+
 router.post("/", async (req, res) => {
   try {
     const result = validateCreateIncident(req.body);
@@ -39,99 +206,302 @@ router.post("/", async (req, res) => {
       return res.status(400).json({ error: result.errors });
     }
 
-    const incident = await createIncident(result.value);
-    res.status(201).json(incident);
+    // What to do if it looks like an incident already reported
+    const duplicatePolicy = resolveDuplicatePolicy(
+      req.query.duplicatePolicy ?? req.body.duplicatePolicy,
+    );
+    if (!duplicatePolicy.ok) {
+      return res.status(400).json({ error: duplicatePolicy.error });
+    }
+
+    const possibleDuplicates = findDuplicates(result.value);
+    if (possibleDuplicates.length > 0 && duplicatePolicy.policy === "skip") {
+      return res.status(409).json({
+        error: "This looks like an incident that has already been reported",
+        possibleDuplicates,
+      });
+    }
+
+    const incident = await createIncident(result.value, {
+      actor: getActor(req),
+      duplicateOf:
+        duplicatePolicy.policy === "attach"
+          ? possibleDuplicates[0]?.id
+          : undefined,
+    });
+    res.set("ETag", etagFor(incident));
+    res.status(201).json({ ...incident, possibleDuplicates });
   } catch (error) {
     console.error("Error creating incident:", error);
     res.status(500).json({ error: "Failed to create incident" });
   }
 });
 
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id", refuseMerged, async (req, res) => {
   try {
     const incident = findById(req.params.id);
     if (!incident) return res.status(404).json({ error: "Incident not found" });
+    if (!ifMatchPasses(req, incident)) {
+      return sendPreconditionFailed(res, incident);
+    }
 
-    const check = validateStatusChange(incident.status, req.body.status);
-    if (!check.ok) return res.status(400).json({ error: check.error });
+    const result = validateUpdateIncident(req.body);
+    if (!result.ok) {
+      return res.status(400).json({ error: result.errors });
+    }
 
-    const updated = await updateStatus(incident.id, check.next);
+    const updated = await updateIncident(incident.id, result.value, {
+      actor: getActor(req),
+    });
+    res.set("ETag", etagFor(updated));
     res.json(updated);
   } catch (error) {
-    console.error("Error updating incident status:", error);
-    res.status(500).json({ error: "Failed to update incident status" });
+    console.error("Error updating incident:", error);
+    res.status(500).json({ error: "Failed to update incident" });
   }
 });
 
-router.post("/:id/archive", async (req, res) => {
-  try {
-    const incident = findById(req.params.id);
-    if (!incident) return res.status(404).json({ error: "Incident not found" });
+/**
+ * Builds a route that takes an incident through a workflow transition
+ * @param {Function} pick - Gets the transition wanted ({ name } or { to }) from the request
+ * @param {string} failure - What to report if something unexpected goes wrong
+ *
+ * Transitions unknown from the current status are a 400, refused guards a
+ * 409 (403 when the actor lacks the required role).
+ */
+function transitionRoute(pick, failure) {
+  return async (req, res) => {
+    try {
+      const incident = findById(req.params.id);
+      if (!incident) {
+        return res.status(404).json({ error: "Incident not found" });
+      }
+      if (!ifMatchPasses(req, incident)) {
+        return sendPreconditionFailed(res, incident);
+      }
 
-    const check = validateArchive(incident.status);
-    if (!check.ok) return res.status(400).json({ error: check.error });
+      const reason = validateReason(req.body.reason);
+      if (!reason.ok) return res.status(400).json({ error: reason.error });
 
-    const archived = await archiveIncident(incident.id);
-    if (!archived) {
-      return res.status(400).json({ error: "Failed to archive incident" });
+      const result = await applyTransition(incident.id, pick(req), {
+        actor: getActor(req),
+        reason: reason.reason,
+      });
+      if (!result.ok) {
+        if (result.failures.length === 0) {
+          return res.status(400).json({ error: result.error });
+        }
+        const forbidden = result.failures.some((f) => f.guard === "roles");
+        return res
+          .status(forbidden ? 403 : 409)
+          .json({ error: result.error, failures: result.failures });
+      }
+
+      res.set("ETag", etagFor(result.incident));
+      res.json(result.incident);
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      res.status(500).json({ error: failure });
     }
+  };
+}
 
-    res.json(archived);
-  } catch (error) {
-    console.error("Error archiving incident:", error);
-    res.status(500).json({ error: "Failed to archive incident" });
-  }
-});
+// Either { status } (the target status) or { transition } (its name) may be sent
+router.patch(
+  "/:id/status",
+  refuseMerged,
+  transitionRoute(
+    (req) => ({ to: req.body.status, name: req.body.transition }),
+    "Failed to update incident status",
+  ),
+);
+
+router.post(
+  "/:id/archive",
+  refuseMerged,
+  transitionRoute(() => ({ name: "archive" }), "Failed to archive incident"),
+);
 
-router.post("/:id/reset", async (req, res) => {
+router.post(
+  "/:id/reset",
+  refuseMerged,
+  transitionRoute(() => ({ name: "reset" }), "Failed to reset incident"),
+);
+
+router.post("/:id/merge", refuseMerged, async (req, res) => {
   try {
     const incident = findById(req.params.id);
     if (!incident) return res.status(404).json({ error: "Incident not found" });
+    if (!ifMatchPasses(req, incident)) {
+      return sendPreconditionFailed(res, incident);
+    }
 
-    const check = validateReset(incident.status);
-    if (!check.ok) return res.status(400).json({ error: check.error });
+    const result = validateMerge(req.body, incident.id);
+    if (!result.ok) return res.status(400).json({ error: result.errors });
 
-    const reset = await resetArchivedIncident(incident.id);
-    if (!reset) {
-      return res.status(400).json({ error: "Failed to reset incident" });
+    // If-Match covers the target; versions does the same for each source
+    for (const [id, version] of Object.entries(result.value.versions)) {
+      const source = findById(id);
+      if (source && versionOf(source) !== version) {
+        return sendPreconditionFailed(res, source);
+      }
+    }
+
+    const merged = await mergeThroughWorkflow(
+      incident.id,
+      result.value.sourceIds,
+      {
+        actor: getActor(req),
+        reason: result.value.reason,
+      },
+    );
+    if (!merged.ok) {
+      return res
+        .status(merged.missing ? 404 : 409)
+        .json({ error: merged.error, missing: merged.missing });
     }
 
-    res.json(reset);
+    res.set("ETag", etagFor(merged.incident));
+    res.json(merged.incident);
   } catch (error) {
-    console.error("Error resetting incident:", error);
-    res.status(500).json({ error: "Failed to reset incident" });
+    console.error("Error merging incidents:", error);
+    res.status(500).json({ error: "Failed to merge incidents" });
   }
 });
 
-router.post("/bulk-upload", upload.single("file"), async (req, res) => {
+router.post("/bulk-upload", uploadCsv, async (req, res) => {
+  // The uploaded file is removed here unless an import job takes it over
+  let handedOff = false;
+
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
-    const records = await parseCsvBuffer(req.file.buffer);
+    // dryRun may arrive as a multipart field or a query parameter
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun) === "true";
+    // All-or-nothing: import only if every row is valid, with a single save
+    const transactional =
+      String(req.body.transactional ?? req.query.transactional) === "true";
+
+    // Optional column mapping chosen on the upload page, sent as JSON text
+    let requestedMapping = {};
+    if (req.body.mapping) {
+      try {
+        requestedMapping = JSON.parse(req.body.mapping);
+      } catch {
+        return res.status(400).json({ error: "mapping must be valid JSON" });
+      }
+    }
+
+    // Worksheet of an .xlsx upload, by name or 1-based position
+    const sheet = req.body.sheet ?? req.query.sheet;
 
-    let created = 0;
-    let skipped = 0;
+    // What to do with rows that look like incidents already reported
+    const duplicatePolicy = resolveDuplicatePolicy(
+      req.body.duplicatePolicy ?? req.query.duplicatePolicy,
+    );
+    if (!duplicatePolicy.ok) {
+      return res.status(400).json({ error: duplicatePolicy.error });
+    }
 
-    for (const row of records) {
-      const result = validateCreateIncident(row);
-      if (!result.ok) {
-        skipped++;
-        continue;
+    if (!dryRun) {
+      // Real imports run in the background; poll GET /api/imports/:jobId
+      const job = startImportJob(req.file, {
+        actor: getActor(req),
+        mapping: requestedMapping,
+        transactional,
+        sheet,
+        duplicatePolicy: duplicatePolicy.policy,
+      });
+      handedOff = true;
+      return res.status(202).location(`/api/imports/${job.id}`).json(job);
+    }
+
+    const {
+      columns,
+      rows,
+      sheets,
+      sheet: sheetName,
+    } = await parseImportFile(req.file, { sheet });
+    if (columns.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "The file is empty or has no header row" });
+    }
+
+    const resolved = resolveColumnMapping(columns, requestedMapping);
+    if (!resolved.ok) {
+      return res.status(400).json({
+        error: "Invalid column mapping",
+        details: resolved.errors,
+        columns,
+      });
+    }
+
+    const accepted = [];
+    const rowErrors = [];
+    const duplicates = [];
+    const duplicateIndex = createDuplicateIndex();
+    for (const record of rows) {
+      let result = validateRow(record, resolved.mapping);
+      if (result.ok) {
+        result = checkImportRow(
+          record,
+          result.accepted,
+          duplicatePolicy.policy,
+          duplicateIndex,
+        );
+        if (result.duplicate) duplicates.push(result.duplicate);
+      }
+
+      if (result.ok) {
+        accepted.push(result.accepted);
+        // Nothing is stored in a dry run, so later rows are compared with this one
+        const { value, row, reportedAt } = result.accepted;
+        duplicateIndex.add({ ...value, row, reportedAt });
+      } else {
+        rowErrors.push(result.rowError);
       }
-      await createIncident(result.value);
-      created++;
     }
 
+    // Report what would happen without touching the store
     res.json({
-      totalRows: records.length,
-      created,
-      skipped,
+      dryRun,
+      transactional,
+      duplicatePolicy: duplicatePolicy.policy,
+      // What the upload page needs to let the user adjust the column mapping
+      fields: importFields,
+      sheets,
+      sheet: sheetName,
+      columns,
+      mapping: resolved.mapping,
+      missing: resolved.missing,
+      totalRows: rows.length,
+      skipped: rowErrors.length,
+      rowErrors,
+      // Rejected rows as they were uploaded, plus an errors column, ready to fix and re-upload
+      rejectedCsv: rejectedRowsCsv(columns, rowErrors),
+      // Rows that look like incidents already reported, or like earlier rows
+      duplicates,
+      created: 0,
+      // A transactional import creates nothing if any row is rejected
+      wouldCreate: transactional && rowErrors.length > 0 ? 0 : accepted.length,
+      preview: accepted,
     });
   } catch (error) {
+    if (isUnreadableFileError(error)) {
+      return res.status(400).json({
+        error: "The file could not be parsed",
+        details: [error.message],
+      });
+    }
     console.error("Error during bulk upload:", error);
     res.status(500).json({ error: "Failed to process bulk upload" });
+  } finally {
+    if (req.file && !handedOff) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
   }
 });
 
@@ -0,0 +1,95 @@
+import express from "express";
+
+import {
+  findById,
+  listLinks,
+  addLink,
+  removeLink,
+} from "../store/incidents.store.js";
+import { validateLink } from "../utils/validate.js";
+import { getActor } from "../utils/actor.js";
+import {
+  etagFor,
+  ifMatchPasses,
+  sendPreconditionFailed,
+} from "../utils/etag.js";
+
+// Mounted under /api/incidents/:id/links, so :id comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Loads the incident the links belong to for a change, answering for it
+ * when it is missing (404), merged away (409) or stale per If-Match (412)
+ * @returns {Object|null} The incident, or null once a response was sent
+ */
+function incidentForChange(req, res) {
+  const incident = findById(req.params.id);
+  if (!incident) {
+    res.status(404).json({ error: "Incident not found" });
+    return null;
+  }
+  if (incident.mergedInto) {
+    res.status(409).json({
+      error: "This incident was merged into another incident",
+      mergedInto: incident.mergedInto,
+    });
+    return null;
+  }
+  if (!ifMatchPasses(req, incident)) {
+    sendPreconditionFailed(res, incident);
+    return null;
+  }
+  return incident;
+}
+
+router.get("/", (req, res) => {
+  const links = listLinks(req.params.id);
+  if (!links) return res.status(404).json({ error: "Incident not found" });
+  res.json(links);
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const incident = incidentForChange(req, res);
+    if (!incident) return;
+
+    const result = validateLink(req.body, incident.id);
+    if (!result.ok) return res.status(400).json({ error: result.errors });
+
+    const added = await addLink(incident.id, result.value, {
+      actor: getActor(req),
+    });
+    if (!added.ok) {
+      return res
+        .status(added.notFound ? 404 : 409)
+        .json({ error: added.error });
+    }
+    // Both incidents changed; the ETag is for the one the request was about
+    res.set("ETag", etagFor(findById(incident.id)));
+    res.status(201).json(added.link);
+  } catch (error) {
+    console.error("Error linking incidents:", error);
+    res.status(500).json({ error: "Failed to link incidents" });
+  }
+});
+
+// ?type= removes only links of that type; without it every link between the two goes
+router.delete("/:incidentId", async (req, res) => {
+  try {
+    if (!incidentForChange(req, res)) return;
+
+    const removed = await removeLink(
+      req.params.id,
+      req.params.incidentId,
+      req.query.type,
+    );
+    if (!removed) return res.status(404).json({ error: "Link not found" });
+    res.set("ETag", etagFor(findById(req.params.id)));
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error removing link:", error);
+    res.status(500).json({ error: "Failed to remove link" });
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from "express";
+
+import { config } from "../../config.js";
+import { getTransitions } from "../store/workflow.js";
+
+const router = express.Router();
+
+// The statuses, workflow, taxonomy and limits the server enforces, so clients
+// can build their selects, buttons and validation from them (fixed until restart)
+router.get("/", (req, res) => {
+  const { incidents, validation, attachments, bulkUpload, duplicates } = config;
+
+  res.json({
+    statuses: incidents.statuses,
+    initialStatus: incidents.initialStatus,
+    closedStatuses: incidents.closedStatuses,
+    archivedStatus: incidents.archivedStatus,
+    transitions: getTransitions(),
+    categories: incidents.categories,
+    severities: incidents.severities,
+    linkTypes: Object.keys(incidents.linkTypes),
+    linkLabels: incidents.linkLabels,
+    validation,
+    attachments: {
+      maxFileSize: attachments.maxFileSize,
+      allowedMimeTypes: attachments.allowedMimeTypes,
+    },
+    bulkUpload: {
+      maxFileSize: bulkUpload.maxFileSize,
+      allowedExtensions: bulkUpload.allowedExtensions,
+    },
+    duplicates: {
+      policy: duplicates.policy,
+      policies: duplicates.policies,
+    },
+    sortableFields: config.pagination.sortableFields,
+  });
+});
+
+export default router;
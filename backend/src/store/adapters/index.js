@@ -0,0 +1,49 @@
+/**
+ * Storage Adapters
+ * Picks the persistence backend named by config.storage.driver.
+ *
+ * Every adapter exposes the same interface:
+ * - init()              Opens/loads storage; resolves to { report }
+ * - list()              All incidents, in insertion order
+ * - find(id)            One incident or undefined
+ * - create(incident)    Adds a new incident
+ * - createMany(list, updates)
+ *                       Adds several incidents and replaces the stored copies
+ *                       of `updates`, atomically: all or none
+ * - update(incident)    Replaces the stored copy of an existing incident
+ * - delete(id)          Removes an incident; resolves to true if one was removed
+ * - query(options)      Filtered, sorted page: { items, total }
+ * - replaceAll(list)    Swaps in a whole new set of incidents
+ * - flush()             Forces pending writes to storage
+ * - close()             Releases files and connections
+ */
+
+import { config } from "../../../config.js";
+import { createJsonAdapter } from "./json.adapter.js";
+
+export const drivers = ["json", "sqlite"];
+
+/**
+ * Creates the adapter for a storage driver
+ * @param {string} driver - "json" or "sqlite" (defaults to config.storage.driver)
+ * @returns {Promise<Object>} An adapter that still needs init()
+ *
+ * SQLite is loaded on demand so JSON-only installs never load the native module.
+ */
+export async function createAdapter(driver = config.storage.driver) {
+  switch (driver) {
+    case "json":
+      return createJsonAdapter({
+        filePath: config.storage.incidentsFilePath,
+        autoSave: config.storage.autoSave,
+      });
+    case "sqlite": {
+      const { createSqliteAdapter } = await import("./sqlite.adapter.js");
+      return createSqliteAdapter({ filePath: config.storage.sqliteFilePath });
+    }
+    default:
+      throw new Error(
+        `Unknown storage driver "${driver}". Must be one of: ${drivers.join(", ")}`,
+      );
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * JSON File Storage Adapter
+ * Keeps every incident in memory and persists the whole array to a JSON file.
+ * Simple and human-readable, but every change rewrites the full file.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../../../config.js";
+import { writeFileAtomic } from "../../utils/atomicWrite.js";
+import { recoverCorruptFile } from "../recovery.js";
+
+// Enum fields sort by their configured order rather than alphabetically
+const sortRanks = {
+  status: config.incidents.statuses,
+  severity: config.incidents.severities,
+};
+
+/**
+ * Creates a JSON file adapter
+ * @param {Object} options - { filePath, autoSave }
+ * @returns {Object} Storage adapter (see adapters/index.js for the interface)
+ */
+export function createJsonAdapter({ filePath, autoSave = true }) {
+  let incidents = [];
+
+  // Persistence queue: writes run one at a time, in order
+  let writeChain = Promise.resolve();
+  // A queued write that has not started yet; later saves can share it
+  let pendingWrite = null;
+
+  /**
+   * Ensures the data directory exists
+   * Creates the directory if it doesn't exist
+   */
+  async function ensureDataDirectory() {
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+    } catch (error) {
+      console.error("Error creating data directory:", error);
+    }
+  }
+
+  /**
+   * Saves the current incidents array to the JSON file
+   * Uses pretty-printing (2 space indent) for readability
+   * Throws error if save fails
+   *
+   * Writes are serialized through a queue so overlapping requests never
+   * interleave, and each write goes through writeFileAtomic. A save requested
+   * while another is still waiting to start joins that one, since it will
+   * serialize the latest in-memory state anyway.
+   */
+  function saveToFile() {
+    if (pendingWrite) return pendingWrite;
+
+    const write = writeChain.then(async () => {
+      pendingWrite = null;
+      try {
+        await ensureDataDirectory();
+        const data = JSON.stringify(incidents, null, 2);
+        await writeFileAtomic(filePath, data);
+      } catch (error) {
+        console.error("Error saving incidents to file:", error);
+        throw new Error("Failed to save incidents data");
+      }
+    });
+
+    pendingWrite = write;
+    // Keep the queue going even if this write fails
+    writeChain = write.catch(() => {});
+    return write;
+  }
+
+  async function persist() {
+    if (autoSave) await saveToFile();
+  }
+
+  return {
+    name: "json",
+
+    /**
+     * Loads the data file
+     * If the file doesn't exist, it creates an empty incidents array
+     * If the file can't be parsed, it is handed to the recovery module
+     * @returns {Promise<Object>} { report } where report is set after a recovery
+     */
+    async init() {
+      await ensureDataDirectory();
+
+      let data;
+      try {
+        data = await fs.readFile(filePath, "utf-8");
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+
+        // File doesn't exist, start with empty array
+        incidents = [];
+        await saveToFile();
+        console.log("Created new incidents data file");
+        return { report: null };
+      }
+
+      try {
+        const parsed = JSON.parse(data);
+        if (!Array.isArray(parsed)) {
+          throw new Error("Incidents data file does not contain an array");
+        }
+        incidents = parsed;
+        console.log(`Loaded ${incidents.length} incidents from file`);
+        return { report: null };
+      } catch (error) {
+        const recovery = await recoverCorruptFile(filePath, data, error);
+        incidents = recovery.incidents;
+        await saveToFile();
+        return { report: recovery.report };
+      }
+    },
+
+    list() {
+      return incidents;
+    },
+
+    find(id) {
+      return incidents.find((i) => i.id === id);
+    },
+
+    async create(incident) {
+      incidents.push(incident);
+      await persist();
+      return incident;
+    },
+
+    /**
+     * Adds several incidents, and replaces updated ones, with a single write
+     * If the write fails the previous set is put back in memory, so either
+     * all of the changes are stored or none are
+     */
+    async createMany(list, updates = []) {
+      const previous = incidents;
+      const replaced = new Map(updates.map((i) => [i.id, i]));
+      incidents = [...incidents.map((i) => replaced.get(i.id) || i), ...list];
+      try {
+        await persist();
+      } catch (error) {
+        incidents = previous;
+        throw error;
+      }
+      return list;
+    },
+
+    async update(incident) {
+      const index = incidents.findIndex((i) => i.id === incident.id);
+      if (index === -1) return null;
+      incidents[index] = incident;
+      await persist();
+      return incident;
+    },
+
+    async delete(id) {
+      const index = incidents.findIndex((i) => i.id === id);
+      if (index === -1) return false;
+      incidents.splice(index, 1);
+      await persist();
+      return true;
+    },
+
+    /**
+     * Filters, sorts and pages incidents in memory
+     * @param {Object} options - Validated query options (see validateListQuery)
+     * @returns {Object} { items, total }
+     */
+    query(options) {
+      const {
+        includeArchived,
+        statuses,
+        categories,
+        severities,
+        reportedFrom,
+        reportedTo,
+        sort,
+        order,
+        offset,
+        limit,
+      } = options;
+
+      const from = reportedFrom ? Date.parse(reportedFrom) : null;
+      const to = reportedTo ? Date.parse(reportedTo) : null;
+
+      const filtered = incidents.filter((i) => {
+        if (statuses.length > 0) {
+          if (!statuses.includes(i.status)) return false;
+        } else if (
+          !includeArchived &&
+          i.status === config.incidents.archivedStatus
+        ) {
+          return false;
+        }
+        if (categories.length > 0 && !categories.includes(i.category)) {
+          return false;
+        }
+        if (severities.length > 0 && !severities.includes(i.severity)) {
+          return false;
+        }
+
+        const reported = Date.parse(i.reportedAt);
+        if (from !== null && !(reported >= from)) return false;
+        if (to !== null && !(reported <= to)) return false;
+
+        return true;
+      });
+
+      const direction = order === "asc" ? 1 : -1;
+      const rank = sortRanks[sort];
+      filtered.sort((a, b) => {
+        const av = rank ? rank.indexOf(a[sort]) : String(a[sort] ?? "");
+        const bv = rank ? rank.indexOf(b[sort]) : String(b[sort] ?? "");
+        if (av < bv) return -1 * direction;
+        if (av > bv) return 1 * direction;
+        return 0;
+      });
+
+      return {
+        items: filtered.slice(offset, offset + limit),
+        total: filtered.length,
+      };
+    },
+
+    async replaceAll(list) {
+      incidents = list;
+      await saveToFile();
+    },
+
+    /**
+     * Writes the file now, regardless of autoSave
+     */
+    async flush() {
+      await saveToFile();
+    },
+
+    async close() {
+      await writeChain;
+    },
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * SQLite Storage Adapter
+ * Stores one row per incident in an embedded SQLite database.
+ * Each change touches only its own row, so writes stay cheap as history grows.
+ *
+ * The full incident document (history, comments, attachments...) lives in the
+ * `data` column as JSON; the fields used for filtering and sorting are copied
+ * into indexed columns.
+ */
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { config } from "../../../config.js";
+
+// API sort field -> column
+const sortColumns = {
+  reportedAt: "reported_at",
+  title: "title",
+  category: "category",
+  severity: "severity",
+  status: "status",
+};
+
+// Enum fields sort by their configured order rather than alphabetically
+const sortRanks = {
+  status: config.incidents.statuses,
+  severity: config.incidents.severities,
+};
+
+/**
+ * Builds an ORDER BY expression for a sort field
+ * Enum fields become a CASE over their configured order; values come from
+ * config, never from the request, so inlining them is safe
+ */
+function sortExpression(sort) {
+  const rank = sortRanks[sort];
+  const column = sortColumns[sort];
+  if (!rank) return column;
+
+  const cases = rank
+    .map((value, index) => `WHEN '${value.replace(/'/g, "''")}' THEN ${index}`)
+    .join(" ");
+  return `CASE ${column} ${cases} ELSE -1 END`;
+}
+
+/**
+ * Creates a SQLite adapter
+ * @param {Object} options - { filePath }
+ * @returns {Object} Storage adapter (see adapters/index.js for the interface)
+ */
+export function createSqliteAdapter({ filePath }) {
+  let db = null;
+  let statements = null;
+
+  function toRow(incident) {
+    return {
+      id: incident.id,
+      title: incident.title ?? null,
+      category: incident.category ?? null,
+      severity: incident.severity ?? null,
+      status: incident.status ?? null,
+      reported_at: incident.reportedAt ?? null,
+      data: JSON.stringify(incident),
+    };
+  }
+
+  function fromRow(row) {
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  return {
+    name: "sqlite",
+
+    /**
+     * Opens (and if needed creates) the database
+     * @returns {Promise<Object>} { report } (always null; SQLite handles its own recovery)
+     */
+    async init() {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+      db = new Database(filePath);
+      db.pragma("journal_mode = WAL");
+      db.pragma("synchronous = FULL");
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS incidents (
+          id TEXT PRIMARY KEY,
+          title TEXT,
+          category TEXT,
+          severity TEXT,
+          status TEXT,
+          reported_at TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_incidents_status ON incidents (status);
+        CREATE INDEX IF NOT EXISTS idx_incidents_category ON incidents (category);
+        CREATE INDEX IF NOT EXISTS idx_incidents_severity ON incidents (severity);
+        CREATE INDEX IF NOT EXISTS idx_incidents_reported_at ON incidents (reported_at);
+      `);
+
+      statements = {
+        list: db.prepare("SELECT data FROM incidents ORDER BY rowid"),
+        find: db.prepare("SELECT data FROM incidents WHERE id = ?"),
+        insert: db.prepare(
+          `INSERT INTO incidents (id, title, category, severity, status, reported_at, data)
+           VALUES (@id, @title, @category, @severity, @status, @reported_at, @data)`,
+        ),
+        update: db.prepare(
+          `UPDATE incidents
+           SET title = @title, category = @category, severity = @severity,
+               status = @status, reported_at = @reported_at, data = @data
+           WHERE id = @id`,
+        ),
+        delete: db.prepare("DELETE FROM incidents WHERE id = ?"),
+        deleteAll: db.prepare("DELETE FROM incidents"),
+        count: db.prepare("SELECT COUNT(*) AS n FROM incidents"),
+      };
+
+      console.log(
+        `Opened SQLite database with ${statements.count.get().n} incidents`,
+      );
+      return { report: null };
+    },
+
+    list() {
+      return statements.list.all().map(fromRow);
+    },
+
+    find(id) {
+      return fromRow(statements.find.get(id));
+    },
+
+    async create(incident) {
+      statements.insert.run(toRow(incident));
+      return incident;
+    },
+
+    /**
+     * Adds several incidents, and replaces updated ones, in one transaction
+     */
+    async createMany(list, updates = []) {
+      const writeAll = db.transaction(() => {
+        for (const incident of list) {
+          statements.insert.run(toRow(incident));
+        }
+        for (const incident of updates) {
+          statements.update.run(toRow(incident));
+        }
+      });
+      writeAll();
+      return list;
+    },
+
+    async update(incident) {
+      const result = statements.update.run(toRow(incident));
+      return result.changes > 0 ? incident : null;
+    },
+
+    async delete(id) {
+      return statements.delete.run(id).changes > 0;
+    },
+
+    /**
+     * Filters, sorts and pages incidents with SQL
+     * @param {Object} options - Validated query options (see validateListQuery)
+     * @returns {Object} { items, total }
+     */
+    query(options) {
+      const {
+        includeArchived,
+        statuses,
+        categories,
+        severities,
+        reportedFrom,
+        reportedTo,
+        sort,
+        order,
+        offset,
+        limit,
+      } = options;
+
+      const where = [];
+      const params = [];
+
+      function inList(column, values) {
+        where.push(`${column} IN (${values.map(() => "?").join(", ")})`);
+        params.push(...values);
+      }
+
+      if (statuses.length > 0) {
+        inList("status", statuses);
+      } else if (!includeArchived) {
+        where.push("status IS NOT ?");
+        params.push(config.incidents.archivedStatus);
+      }
+      if (categories.length > 0) inList("category", categories);
+      if (severities.length > 0) inList("severity", severities);
+
+      // reportedAt is stored as an ISO string, so ISO bounds compare correctly
+      if (reportedFrom) {
+        where.push("reported_at >= ?");
+        params.push(new Date(reportedFrom).toISOString());
+      }
+      if (reportedTo) {
+        where.push("reported_at <= ?");
+        params.push(new Date(reportedTo).toISOString());
+      }
+
+      const whereSql = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+      const direction = order === "asc" ? "ASC" : "DESC";
+
+      const total = db
+        .prepare(`SELECT COUNT(*) AS n FROM incidents ${whereSql}`)
+        .get(...params).n;
+
+      const rows = db
+        .prepare(
+          `SELECT data FROM incidents ${whereSql}
+           ORDER BY ${sortExpression(sort)} ${direction}, rowid ASC
+           LIMIT ? OFFSET ?`,
+        )
+        .all(...params, limit, offset);
+
+      return { items: rows.map(fromRow), total };
+    },
+
+    async replaceAll(list) {
+      const replace = db.transaction((incidents) => {
+        statements.deleteAll.run();
+        for (const incident of incidents) {
+          statements.insert.run(toRow(incident));
+        }
+      });
+      replace(list);
+    },
+
+    /**
+     * Every write is already committed, so there is nothing to flush
+     */
+    async flush() {},
+
+    async close() {
+      db?.close();
+    },
+  };
+}
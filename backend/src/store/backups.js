@@ -0,0 +1,157 @@
+/**
+ * Backups Module
+ * Takes rotating snapshots of the incident store and restores them on request.
+ * Controlled by config.storage.enableBackup, backupInterval, backupDir and backupRetention.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../../config.js";
+import { listAll, replaceAll } from "./incidents.store.js";
+import { writeFileAtomic } from "../utils/atomicWrite.js";
+
+// incidents-2026-02-14T00-14-59-632Z.json (optionally with a -label suffix)
+const BACKUP_NAME_PATTERN =
+  /^incidents-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(-[a-z0-9-]+)?\.json$/;
+
+let backupTimer = null;
+
+function backupDir() {
+  return path.resolve(config.storage.backupDir);
+}
+
+/**
+ * Checks that a backup name is one this module created
+ * Prevents restore requests from reaching files outside the backup directory
+ */
+export function isValidBackupName(name) {
+  return typeof name === "string" && BACKUP_NAME_PATTERN.test(name);
+}
+
+/**
+ * Writes a snapshot of the current incidents
+ * @param {string} label - Optional suffix describing why it was taken (e.g. "manual")
+ * @returns {Promise<Object>} The new backup's { name, size, createdAt, count }
+ *
+ * Purpose: Keeps restorable copies of the data file
+ * Usage: Called on the backup interval, by POST /api/backups, and before a restore
+ */
+export async function createBackup(label = "") {
+  await fs.mkdir(backupDir(), { recursive: true });
+
+  const incidents = listAll(true);
+  const createdAt = new Date().toISOString();
+  const suffix = label ? `-${label}` : "";
+  const name = `incidents-${createdAt.replace(/[:.]/g, "-")}${suffix}.json`;
+  const data = JSON.stringify(incidents, null, 2);
+
+  await writeFileAtomic(path.join(backupDir(), name), data);
+  await pruneBackups();
+
+  return {
+    name,
+    size: Buffer.byteLength(data),
+    createdAt,
+    count: incidents.length,
+  };
+}
+
+/**
+ * Lists available backups, newest first
+ * @returns {Promise<Array>} [{ name, size, createdAt }]
+ *
+ * Usage: Called by GET /api/backups
+ */
+export async function listBackups() {
+  let names;
+  try {
+    names = await fs.readdir(backupDir());
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const backups = [];
+  for (const name of names.filter(isValidBackupName)) {
+    const stat = await fs.stat(path.join(backupDir(), name));
+    backups.push({
+      name,
+      size: stat.size,
+      createdAt: stat.mtime.toISOString(),
+    });
+  }
+
+  // Names embed the timestamp, so they sort chronologically
+  return backups.sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Deletes the oldest backups beyond config.storage.backupRetention
+ */
+async function pruneBackups() {
+  const backups = await listBackups();
+  const stale = backups.slice(config.storage.backupRetention);
+
+  for (const backup of stale) {
+    await fs.rm(path.join(backupDir(), backup.name), { force: true });
+  }
+}
+
+/**
+ * Restores the store from a backup
+ * @param {string} name - The backup file name (as returned by listBackups)
+ * @returns {Promise<Object|null>} { restored, count, safetyBackup } or null if not found
+ *
+ * Purpose: Recovers from bad edits or imports without touching files by hand
+ * Usage: Called by POST /api/backups/:name/restore
+ *
+ * The function:
+ * 1. Reads and parses the backup, refusing anything that is not an incidents array
+ * 2. Takes a "pre-restore" backup of the current data so the restore can be undone
+ * 3. Replaces the store contents and saves them
+ */
+export async function restoreBackup(name) {
+  if (!isValidBackupName(name)) return null;
+
+  let data;
+  try {
+    data = await fs.readFile(path.join(backupDir(), name), "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  const incidents = JSON.parse(data);
+  if (!Array.isArray(incidents)) {
+    throw new Error(`Backup ${name} does not contain an incidents array`);
+  }
+
+  const safety = await createBackup("pre-restore");
+  const count = await replaceAll(incidents);
+
+  return { restored: name, count, safetyBackup: safety.name };
+}
+
+/**
+ * Starts periodic backups if config.storage.enableBackup is set
+ * The timer is unref'd so it never keeps the process alive on its own
+ *
+ * Usage: Called once by server.js after the store is initialized
+ */
+export function startBackupSchedule() {
+  if (!config.storage.enableBackup || backupTimer) return;
+
+  backupTimer = setInterval(async () => {
+    try {
+      const backup = await createBackup();
+      console.log(`Backup written: ${backup.name}`);
+    } catch (error) {
+      console.error("Scheduled backup failed:", error);
+    }
+  }, config.storage.backupInterval);
+  backupTimer.unref();
+
+  console.log(
+    `Backups enabled every ${config.storage.backupInterval} ms (keeping ${config.storage.backupRetention})`,
+  );
+}
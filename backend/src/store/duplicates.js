@@ -0,0 +1,302 @@
+/**
+ * Duplicate Detection Module
+ * Finds existing incidents that look like the same report, by comparing the
+ * normalized words of titles and descriptions within a category and a time
+ * window. Controlled by config.duplicates.
+ */
+
+import { config } from "../../config.js";
+import { findById, queryAllIncidents } from "./incidents.store.js";
+import { tokenize } from "./search.index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words too common to say anything about whether two reports match
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "was",
+  "with",
+]);
+
+/**
+ * Reduces text to its set of meaningful lower-cased words
+ */
+function wordSet(text) {
+  return new Set(tokenize(text).filter((t) => !STOP_WORDS.has(t)));
+}
+
+/**
+ * Dice coefficient of two word sets: 1 for the same words, 0 for none shared
+ */
+function overlap(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Prepares an incident for comparison, tokenizing its text once
+ * @returns {Object} { incident, time, title, description } with word sets
+ */
+function entryFor(incident) {
+  return {
+    incident,
+    time: incident.reportedAt ? Date.parse(incident.reportedAt) : Date.now(),
+    title: wordSet(incident.title),
+    description: wordSet(incident.description),
+  };
+}
+
+/**
+ * Follows mergedInto pointers to the incident a merged one now lives on
+ * @returns {Object|null} The surviving incident, or null if it is gone
+ */
+function survivorOf(incident) {
+  let current = incident;
+  while (current && current.mergedInto) current = findById(current.mergedInto);
+  return current;
+}
+
+function score(a, b) {
+  const { titleWeight } = config.duplicates;
+  return (
+    titleWeight * overlap(a.title, b.title) +
+    (1 - titleWeight) * overlap(a.description, b.description)
+  );
+}
+
+/**
+ * Scores how alike two incidents read
+ * @param {Object} a - { title, description }
+ * @param {Object} b - { title, description }
+ * @returns {number} 0 (nothing in common) to 1 (same words)
+ */
+export function similarity(a, b) {
+  return score(entryFor(a), entryFor(b));
+}
+
+/**
+ * Checks a requested duplicate policy
+ * @param {*} policy - From the request; empty means config.duplicates.policy
+ * @returns {Object} { ok, error, policy }
+ */
+export function resolveDuplicatePolicy(policy) {
+  if (policy === undefined || policy === null || policy === "") {
+    return { ok: true, policy: config.duplicates.policy };
+  }
+  if (!config.duplicates.policies.includes(policy)) {
+    return {
+      ok: false,
+      error: `Invalid duplicatePolicy. Must be one of: ${config.duplicates.policies.join(", ")}`,
+    };
+  }
+  return { ok: true, policy };
+}
+
+/**
+ * Creates an index of incidents to check new ones against
+ * @param {Object} options - { reportedFrom, reportedTo } ISO bounds on the
+ *   stored incidents loaded; unbounded when omitted
+ * @returns {Object} { find(candidate, limit), add(incident) }
+ *
+ * Purpose: Keeps duplicate checks cheap for uploads with many rows and
+ * stores with thousands of incidents
+ * Usage: One index per import (or per created incident); see findDuplicates
+ *
+ * Stored incidents are loaded one category at a time, the first time a
+ * candidate in that category is checked, and their words are tokenized once.
+ * Each category is kept in reportedAt order so a candidate is only compared
+ * with incidents inside config.duplicates.windowDays of it. A merged incident
+ * is still compared by its own words, but matches as the incident it was
+ * merged into, so nothing ever points at a merged one.
+ *
+ * - find: [{ id, row, title, status, reportedAt, score }] best first, only
+ *   those scoring at least config.duplicates.threshold; `row` is set for
+ *   matches added as upload rows
+ * - add: makes an incident, or an upload row ({ ...fields, row, reportedAt })
+ *   not stored yet, a match for later candidates
+ */
+export function createDuplicateIndex(options = {}) {
+  const { reportedFrom = null, reportedTo = null } = options;
+  // category -> entries sorted by time
+  const categories = new Map();
+
+  function entriesIn(category) {
+    if (!categories.has(category)) {
+      const stored = queryAllIncidents({
+        includeArchived: true,
+        categories: [category],
+        reportedFrom,
+        reportedTo,
+      });
+      const entries = [];
+      for (const incident of stored) {
+        const survivor = survivorOf(incident);
+        if (survivor)
+          entries.push({ ...entryFor(incident), incident: survivor });
+      }
+      entries.sort((a, b) => a.time - b.time);
+      categories.set(category, entries);
+    }
+    return categories.get(category);
+  }
+
+  // Index of the first entry at or after `time`
+  function firstFrom(entries, time) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (entries[mid].time < time) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  return {
+    find(candidate, limit = 3) {
+      const { windowDays, threshold } = config.duplicates;
+      const window = windowDays * DAY_MS;
+      const target = entryFor(candidate);
+      const entries = entriesIn(candidate.category);
+
+      // Best score per incident: several merged reports can match as one
+      const best = new Map();
+      for (
+        let i = firstFrom(entries, target.time - window);
+        i < entries.length && entries[i].time <= target.time + window;
+        i++
+      ) {
+        const { incident } = entries[i];
+        const value = score(target, entries[i]);
+        const key = incident.id || `row:${incident.row}`;
+        if (value >= threshold && !(best.get(key)?.score >= value)) {
+          best.set(key, {
+            id: incident.id || null,
+            row: incident.row || null,
+            title: incident.title,
+            status: incident.status || null,
+            reportedAt: incident.reportedAt || null,
+            score: Math.round(value * 100) / 100,
+          });
+        }
+      }
+
+      const matches = [...best.values()];
+      matches.sort((a, b) => b.score - a.score);
+      return matches.slice(0, limit);
+    },
+
+    add(incident) {
+      const entries = entriesIn(incident.category);
+      const entry = entryFor(incident);
+      entries.splice(firstFrom(entries, entry.time + 1), 0, entry);
+    },
+  };
+}
+
+/**
+ * Finds likely duplicates of a new incident
+ * @param {Object} candidate - { title, description, category, reportedAt? }
+ * @param {Object} options - { limit }
+ * @returns {Array} [{ id, row, title, status, reportedAt, score }] best first
+ *
+ * Purpose: Stops the same report being filed again
+ * Usage: Called when creating an incident; uploads use createDuplicateIndex
+ *
+ * Only incidents in the same category reported within
+ * config.duplicates.windowDays of the candidate are loaded and compared.
+ */
+export function findDuplicates(candidate, options = {}) {
+  const { limit = 3 } = options;
+  const time = candidate.reportedAt
+    ? Date.parse(candidate.reportedAt)
+    : Date.now();
+  const window = config.duplicates.windowDays * DAY_MS;
+
+  const index = createDuplicateIndex({
+    reportedFrom: new Date(time - window).toISOString(),
+    reportedTo: new Date(time + window).toISOString(),
+  });
+  return index.find(candidate, limit);
+}
+
+/**
+ * Applies a duplicate policy to one bulk upload row that passed validation
+ * @param {Object} record - The parsed row ({ row, values })
+ * @param {Object} accepted - The row as accepted by validateRow
+ * @param {string} policy - warn | skip | attach (see resolveDuplicatePolicy)
+ * @param {Object} index - The upload's createDuplicateIndex; the caller adds
+ *   each row it goes on to accept
+ * @returns {Object} { ok, accepted } or { ok, rowError } like validateRow,
+ *   plus { duplicate } describing the match, or null
+ *
+ * Purpose: Lets a re-uploaded file be caught row by row
+ * Usage: Called by the import job and the dry-run preview after validateRow
+ *
+ * - duplicate: { row, title, match, action } where action is flagged,
+ *   skipped or attached
+ * - a skipped row becomes a rowError so it lands in the rejected rows CSV
+ * - an attached row gets duplicateOf; only stored incidents can be attached
+ *   to, so a match with an earlier row of the same upload is flagged instead
+ */
+export function checkImportRow(record, accepted, policy, index) {
+  const [match] = index.find(
+    { ...accepted.value, reportedAt: accepted.reportedAt },
+    1,
+  );
+  if (!match) return { ok: true, accepted, duplicate: null };
+
+  const duplicate = {
+    row: record.row,
+    title: accepted.value.title,
+    match,
+    action: "flagged",
+  };
+
+  if (policy === "skip") {
+    duplicate.action = "skipped";
+    const message = match.id
+      ? `Likely duplicate of incident "${match.title}" (${match.id})`
+      : `Likely duplicate of row ${match.row} ("${match.title}")`;
+    return {
+      ok: false,
+      rowError: {
+        row: record.row,
+        values: record.values,
+        errors: [message],
+        fieldErrors: { title: message },
+      },
+      duplicate,
+    };
+  }
+
+  if (policy === "attach" && match.id) {
+    duplicate.action = "attached";
+    return {
+      ok: true,
+      accepted: { ...accepted, duplicateOf: match.id },
+      duplicate,
+    };
+  }
+
+  return { ok: true, accepted, duplicate };
+}
@@ -0,0 +1,174 @@
+/**
+ * Import History Module
+ * Records every bulk upload as an import batch and rolls batches back.
+ * Batches are kept in config.bulkUpload.historyFilePath; a batch's ID is the
+ * ID of the import job that produced it.
+ */
+
+import fs from "fs/promises";
+import { config } from "../../config.js";
+import { writeFileAtomic } from "../utils/atomicWrite.js";
+import { findById, deleteIncident } from "./incidents.store.js";
+
+// Loaded on first use, then kept in memory
+let batches = null;
+// Writes run one at a time, in order
+let writeChain = Promise.resolve();
+
+async function loadBatches() {
+  if (batches) return batches;
+
+  try {
+    const data = await fs.readFile(config.bulkUpload.historyFilePath, "utf-8");
+    const parsed = JSON.parse(data);
+    batches = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error reading import history, starting empty:", error);
+    }
+    batches = [];
+  }
+
+  return batches;
+}
+
+function saveBatches() {
+  const write = writeChain.then(() =>
+    writeFileAtomic(
+      config.bulkUpload.historyFilePath,
+      JSON.stringify(batches, null, 2),
+    ),
+  );
+  writeChain = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Records a finished import job as a batch
+ * @param {Object} job - The finished job (see importJobs.js)
+ * @param {Array<string>} incidentIds - IDs of the incidents the job created
+ * @returns {Promise<Object>} The stored batch
+ *
+ * Usage: Called by the import job runner when a job completes or fails
+ */
+export async function recordImportBatch(job, incidentIds) {
+  await loadBatches();
+
+  const batch = {
+    id: job.id,
+    fileName: job.fileName,
+    uploadedBy: job.actor,
+    uploadedAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    status: job.status,
+    transactional: job.transactional,
+    totalRows: job.processed,
+    created: incidentIds.length,
+    failed: job.failed,
+    error: job.error,
+    incidentIds,
+    rolledBackAt: null,
+    rolledBackBy: null,
+  };
+
+  batches.push(batch);
+  await saveBatches();
+  return batch;
+}
+
+/**
+ * Lists import batches, newest first
+ * @returns {Promise<Array>} Every recorded batch
+ *
+ * Usage: Called by GET /api/imports
+ */
+export async function listImportBatches() {
+  await loadBatches();
+  return [...batches].reverse();
+}
+
+/**
+ * Looks up one import batch
+ * @param {string} id - The batch (job) ID
+ * @returns {Promise<Object|null>} The batch or null if not found
+ */
+export async function findImportBatch(id) {
+  await loadBatches();
+  return batches.find((b) => b.id === id) || null;
+}
+
+/**
+ * Tells whether anyone has worked on an imported incident
+ * The version is no guide: merges and deletions elsewhere bump it too. Only
+ * the single "Imported" history entry is expected, and no links but the
+ * duplicate-of an attached row was given when it was imported.
+ */
+function changedSinceImport(incident) {
+  const importedAt = (incident.history || [])[0]?.at;
+  const linked = (incident.links || []).some(
+    (l) =>
+      !(l.type === "duplicate-of" && importedAt && l.createdAt <= importedAt),
+  );
+  return (
+    linked ||
+    (incident.history || []).length > 1 ||
+    (incident.edits || []).length > 0 ||
+    (incident.comments || []).length > 0 ||
+    (incident.attachments || []).length > 0 ||
+    (incident.merges || []).length > 0 ||
+    Boolean(incident.mergedInto)
+  );
+}
+
+/**
+ * Deletes every incident a batch created
+ * @param {string} id - The batch (job) ID
+ * @param {Object} options - { actor, force }
+ * @returns {Promise<Object|null>} { ok, batch, removed, missing } or
+ *   { ok: false, error, modified } when refused; null if the batch is unknown
+ *
+ * Purpose: Undoes a bad import without editing the data file by hand
+ * Usage: Called by POST /api/imports/:id/rollback
+ *
+ * Incidents someone has worked on since the import (see changedSinceImport)
+ * may carry comments, attachments or edits worth keeping, so the rollback is
+ * refused while any exist unless `force` is set. Incidents already deleted
+ * are reported as missing.
+ */
+export async function rollbackImportBatch(id, options = {}) {
+  const batch = await findImportBatch(id);
+  if (!batch) return null;
+
+  if (batch.rolledBackAt) {
+    return { ok: false, error: "This import has already been rolled back" };
+  }
+
+  const modified = batch.incidentIds.filter((incidentId) => {
+    const incident = findById(incidentId);
+    return incident && changedSinceImport(incident);
+  });
+
+  if (modified.length > 0 && !options.force) {
+    return {
+      ok: false,
+      error: `${modified.length} incident(s) from this import have been changed since; roll back with force to delete them anyway`,
+      modified,
+    };
+  }
+
+  let removed = 0;
+  const missing = [];
+  for (const incidentId of batch.incidentIds) {
+    if (await deleteIncident(incidentId)) {
+      removed++;
+    } else {
+      missing.push(incidentId);
+    }
+  }
+
+  batch.rolledBackAt = new Date().toISOString();
+  batch.rolledBackBy = options.actor || "anonymous";
+  await saveBatches();
+
+  return { ok: true, batch, removed, missing };
+}
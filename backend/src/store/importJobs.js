@@ -0,0 +1,231 @@
+/**
+ * Import Jobs Module
+ * Runs CSV imports in the background and keeps their progress in memory,
+ * so a large upload returns immediately and the client polls for status.
+ */
+
+import fs from "fs/promises";
+import { randomUUID } from "crypto";
+
+import { config } from "../../config.js";
+import { createIncident, createIncidents } from "./incidents.store.js";
+import { recordImportBatch } from "./importHistory.js";
+import { checkImportRow, createDuplicateIndex } from "./duplicates.js";
+import {
+  openImportFile,
+  isUnreadableFileError,
+  importFields,
+  resolveColumnMapping,
+  validateRow,
+  rejectedRowsCsv,
+} from "../utils/bulkImport.js";
+
+// jobId -> job, oldest first (Map keeps insertion order)
+const jobs = new Map();
+
+/**
+ * Drops the oldest finished jobs beyond config.bulkUpload.jobRetention
+ */
+function pruneJobs() {
+  const limit = config.bulkUpload.jobRetention;
+  for (const [id, job] of jobs) {
+    if (jobs.size <= limit) break;
+    if (job.status === "completed" || job.status === "failed") jobs.delete(id);
+  }
+}
+
+/**
+ * Queues a CSV import and starts it in the background
+ * @param {Object} file - { path, originalname, size } of the uploaded file
+ * @param {Object} options - { actor, mapping, transactional, sheet, duplicatePolicy }
+ *   mapping as { field: column }; sheet picks the worksheet of an .xlsx upload;
+ *   duplicatePolicy is a policy already checked by resolveDuplicatePolicy
+ * @returns {Object} The new job (see getImportJob for its shape)
+ *
+ * Purpose: Keeps large imports from holding the upload request open
+ * Usage: Called by POST /api/incidents/bulk-upload; poll GET /api/imports/:jobId
+ *
+ * By default valid rows are created as they are read and invalid ones are
+ * skipped. A transactional job validates the whole file first and then
+ * creates every row with a single persist, or nothing at all if any row is
+ * invalid or the save fails.
+ *
+ * Rows that look like existing incidents, or like earlier rows of the same
+ * file, are handled by the duplicate policy (see checkImportRow).
+ *
+ * Every finished job is recorded as an import batch (see importHistory.js)
+ * and the incidents it creates carry its ID as their batchId. The uploaded
+ * file is deleted once the job has finished with it.
+ */
+export function startImportJob(file, options = {}) {
+  const job = {
+    id: randomUUID(),
+    status: "queued",
+    fileName: file.originalname,
+    actor: options.actor || "anonymous",
+    transactional: Boolean(options.transactional),
+    duplicatePolicy: options.duplicatePolicy || config.duplicates.policy,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: 0,
+    processed: 0,
+    created: 0,
+    failed: 0,
+    fields: importFields,
+    sheet: null,
+    columns: [],
+    mapping: {},
+    missing: [],
+    rowErrors: [],
+    rejectedCsv: null,
+    duplicates: [],
+    error: null,
+    details: null,
+  };
+
+  jobs.set(job.id, job);
+  pruneJobs();
+
+  // Not awaited: the caller answers right away and the job reports via its status
+  runImportJob(job, file, options);
+
+  return job;
+}
+
+/**
+ * Looks up an import job
+ * @param {string} id - The job ID returned when the import was started
+ * @returns {Object|null} The job or null if unknown (or already pruned)
+ *
+ * - status: queued | running | completed | failed
+ * - progress: 0-100, based on how much of the file has been read
+ * - processed, created, failed: row counts so far
+ * - rowErrors / rejectedCsv: rejected rows, the CSV is built once the job ends
+ * - duplicates: rows that looked like duplicates and what was done with them
+ * - error / details: why a failed job stopped
+ */
+export function getImportJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Streams the file, validating and creating incidents row by row
+ * (transactional jobs collect the valid rows and create them together at the end)
+ */
+async function runImportJob(job, file, options) {
+  const requestedMapping = options.mapping || {};
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+
+  const meta = { actor: job.actor, batchId: job.id };
+  // IDs of the incidents created so far, kept with the batch for rollback
+  const createdIds = [];
+
+  try {
+    const reader = openImportFile(file, { sheet: options.sheet });
+    let mapping = null;
+    // Valid rows held back until the end in transactional mode
+    const pending = [];
+    // Stored incidents and this file's accepted rows, for duplicate checks
+    const duplicateIndex = createDuplicateIndex();
+
+    for await (const record of reader.rows) {
+      // The header has been read by the time the first record arrives
+      if (!mapping) {
+        const resolved = resolveColumnMapping(reader.columns, requestedMapping);
+        if (!resolved.ok) {
+          job.error = "Invalid column mapping";
+          job.details = resolved.errors;
+          break;
+        }
+        mapping = resolved.mapping;
+        job.sheet = reader.sheet || null;
+        job.columns = reader.columns;
+        job.mapping = resolved.mapping;
+        job.missing = resolved.missing;
+      }
+
+      let result = validateRow(record, mapping);
+      if (result.ok) {
+        result = checkImportRow(
+          record,
+          result.accepted,
+          job.duplicatePolicy,
+          duplicateIndex,
+        );
+        if (result.duplicate) job.duplicates.push(result.duplicate);
+      }
+
+      if (!result.ok) {
+        job.rowErrors.push(result.rowError);
+        job.failed++;
+      } else if (job.transactional) {
+        pending.push(result.accepted);
+        // Not stored yet, so later rows can only match it by row number
+        const { value, row, reportedAt } = result.accepted;
+        duplicateIndex.add({ ...value, row, reportedAt });
+      } else {
+        const { value, status, reportedAt, duplicateOf } = result.accepted;
+        const incident = await createIncident(value, {
+          ...meta,
+          status,
+          reportedAt,
+          duplicateOf,
+        });
+        createdIds.push(incident.id);
+        duplicateIndex.add(incident);
+        job.created++;
+      }
+
+      job.processed++;
+      job.progress = Math.min(99, Math.floor(record.progress * 100));
+    }
+
+    job.columns = reader.columns;
+    if (job.columns.length === 0 && !job.error) {
+      job.error = "The file is empty or has no header row";
+    }
+    job.rejectedCsv = rejectedRowsCsv(job.columns, job.rowErrors);
+
+    if (job.transactional && !job.error) {
+      if (job.failed > 0) {
+        job.error = `Nothing was imported: ${job.failed} row(s) failed validation`;
+      } else {
+        const incidents = await createIncidents(
+          pending.map(({ value, status, reportedAt, duplicateOf }) => ({
+            data: value,
+            status,
+            reportedAt,
+            duplicateOf,
+          })),
+          meta,
+        );
+        createdIds.push(...incidents.map((i) => i.id));
+        job.created = incidents.length;
+      }
+    }
+
+    job.status = job.error ? "failed" : "completed";
+  } catch (error) {
+    job.status = "failed";
+    if (isUnreadableFileError(error)) {
+      // Rows before the unreadable part may already have been created
+      job.error = "The file could not be parsed";
+      job.details = [error.message];
+    } else {
+      console.error(`Import job ${job.id} failed:`, error);
+      job.error = "Failed to process bulk upload";
+    }
+  } finally {
+    job.progress = 100;
+    job.finishedAt = new Date().toISOString();
+    await fs.unlink(file.path).catch(() => {});
+  }
+
+  try {
+    await recordImportBatch(job, createdIds);
+  } catch (error) {
+    console.error(`Failed to record import batch ${job.id}:`, error);
+  }
+}
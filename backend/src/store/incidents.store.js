@@ -1,74 +1,85 @@
 /**
  * Incidents Store Module
- * Manages all CRUD operations for incident records with JSON file persistence.
- * This module handles reading from and writing to a JSON file for data storage.
+ * Manages all CRUD operations for incident records.
+ * Persistence is delegated to the storage adapter selected by config.storage.driver
+ * (a JSON file or an embedded SQLite database, see ./adapters).
  */
 
 import { randomUUID } from "crypto";
 import fs from "fs/promises";
 import path from "path";
 import { config } from "../../config.js";
+import {
+  rebuildIndex,
+  indexIncident,
+  removeFromIndex,
+  scoreQuery,
+  highlight,
+  SNIPPET_LENGTH,
+} from "./search.index.js";
+import { createAdapter } from "./adapters/index.js";
 
-// In-memory cache of incidents for performance
-let incidents = [];
+// Storage adapter chosen at initialization
+let adapter = null;
 let isInitialized = false;
+// Set when the data file had to be recovered at startup
+let startupReport = null;
 
 /**
- * Ensures the data directory exists
- * Creates the directory if it doesn't exist
+ * Initializes the store by opening the configured storage adapter
+ * and building the search index from its contents
+ * This function must be called before any other store operations
  */
-async function ensureDataDirectory() {
-  const dir = path.dirname(config.storage.incidentsFilePath);
-  try {
-    await fs.mkdir(dir, { recursive: true });
-  } catch (error) {
-    console.error("Error creating data directory:", error);
-  }
+export async function initializeStore() {
+  if (isInitialized) return;
+
+  adapter = await createAdapter();
+  const { report } = await adapter.init();
+  startupReport = report || null;
+
+  rebuildIndex(adapter.list());
+  isInitialized = true;
 }
 
 /**
- * Initializes the store by loading data from the JSON file
- * If the file doesn't exist, it creates an empty incidents array
- * This function must be called before any other store operations
+ * Gets the report from a corrupt-file recovery at startup
+ * @returns {Object|null} The recovery report, or null if the file loaded cleanly
+ *
+ * Usage: Surfaced by the GET /health endpoint
  */
-export async function initializeStore() {
-  if (isInitialized) return;
+export function getStartupReport() {
+  return startupReport;
+}
 
-  await ensureDataDirectory();
+/**
+ * Appends a status transition to an incident's history and applies it
+ * @param {Object} incident - The incident being changed
+ * @param {string} to - The new status
+ * @param {Object} meta - { actor, reason } describing who changed it and why
+ *
+ * Incidents created before history was tracked start with an empty history.
+ */
+function recordTransition(incident, to, meta = {}) {
+  if (!Array.isArray(incident.history)) incident.history = [];
 
-  try {
-    const data = await fs.readFile(config.storage.incidentsFilePath, "utf-8");
-    incidents = JSON.parse(data);
-    console.log(`Loaded ${incidents.length} incidents from file`);
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      // File doesn't exist, start with empty array
-      incidents = [];
-      await saveToFile();
-      console.log("Created new incidents data file");
-    } else {
-      console.error("Error reading incidents file:", error);
-      incidents = [];
-    }
-  }
+  incident.history.push({
+    from: incident.status ?? null,
+    to,
+    at: new Date().toISOString(),
+    actor: meta.actor || "anonymous",
+    reason: meta.reason || null,
+  });
 
-  isInitialized = true;
+  incident.status = to;
 }
 
 /**
- * Saves the current incidents array to the JSON file
- * Uses pretty-printing (2 space indent) for readability
- * Throws error if save fails
+ * Persists a changed incident under its next version
+ * Every change bumps the version so clients can detect conflicts (see utils/etag.js)
  */
-async function saveToFile() {
-  try {
-    await ensureDataDirectory();
-    const data = JSON.stringify(incidents, null, 2);
-    await fs.writeFile(config.storage.incidentsFilePath, data, "utf-8");
-  } catch (error) {
-    console.error("Error saving incidents to file:", error);
-    throw new Error("Failed to save incidents data");
-  }
+async function saveIncident(incident) {
+  incident.version = (incident.version || 1) + 1;
+  await adapter.update(incident);
 }
 
 /**
@@ -77,14 +88,152 @@ async function saveToFile() {
  * @returns {Array} Array of incident objects
  *
  * Purpose: Retrieves all incidents, with optional filtering of archived incidents
- * Usage: Called by the GET /api/incidents endpoint
+ * Usage: Called by getStats and anywhere the full set of incidents is needed
  */
 export function listAll(includeArchived = false) {
+  const incidents = adapter.list();
   if (includeArchived) {
     return incidents;
   }
   // Filter out archived incidents unless explicitly requested
-  return incidents.filter((i) => i.status !== "ARCHIVED");
+  return incidents.filter((i) => i.status !== config.incidents.archivedStatus);
+}
+
+/**
+ * Queries incidents with filtering, sorting and pagination
+ * @param {Object} options - Validated query options (see validateListQuery)
+ * @returns {Object} Page of results with items, total, page, limit and totalPages
+ *
+ * Purpose: Lets the list and dashboard pages fetch only the rows they display
+ * Usage: Called by the GET /api/incidents endpoint
+ *
+ * Filtering and sorting are done by the storage adapter, so the SQLite
+ * backend can answer from its indexes without loading every incident.
+ */
+export function queryIncidents(options = {}) {
+  const {
+    includeArchived = false,
+    statuses = [],
+    categories = [],
+    severities = [],
+    reportedFrom = null,
+    reportedTo = null,
+    sort = "reportedAt",
+    order = "desc",
+    page = 1,
+    limit = 20,
+  } = options;
+
+  const { items, total } = adapter.query({
+    includeArchived,
+    statuses,
+    categories,
+    severities,
+    reportedFrom,
+    reportedTo,
+    sort,
+    order,
+    offset: (page - 1) * limit,
+    limit,
+  });
+
+  return {
+    items,
+    total,
+    page,
+    limit,
+    totalPages: Math.max(1, Math.ceil(total / limit)),
+  };
+}
+
+/**
+ * Lists every incident matching the list filters, without paging
+ * @param {Object} options - Validated query options (see validateListQuery); page and limit are ignored
+ * @returns {Array} The matching incidents in the requested order
+ *
+ * Usage: Called by GET /api/incidents/export
+ */
+export function queryAllIncidents(options = {}) {
+  const { total } = queryIncidents({ ...options, page: 1, limit: 1 });
+  return queryIncidents({ ...options, page: 1, limit: Math.max(total, 1) })
+    .items;
+}
+
+/**
+ * Full-text search over incident titles and descriptions
+ * @param {string} query - Free-text query (case-insensitive, prefix matching)
+ * @param {Object} options - { includeArchived, limit }
+ * @returns {Object} { query, total, results: [{ incident, score, highlights }] }
+ *
+ * Purpose: Answers "have we seen this before?" without scanning the list by hand
+ * Usage: Called by the GET /api/incidents/search endpoint
+ *
+ * Results are ordered by relevance, newest first on ties. Each result carries
+ * highlighted title and description snippets as { text, match } segments.
+ */
+export function searchIncidents(query, options = {}) {
+  const { includeArchived = false, limit = 20 } = options;
+  const scores = scoreQuery(query);
+
+  const matches = [];
+  for (const [id, score] of scores) {
+    const incident = findById(id);
+    if (!incident) continue;
+    if (!includeArchived && incident.status === config.incidents.archivedStatus)
+      continue;
+    matches.push({ incident, score });
+  }
+
+  matches.sort(
+    (a, b) =>
+      b.score - a.score ||
+      String(b.incident.reportedAt).localeCompare(
+        String(a.incident.reportedAt),
+      ),
+  );
+
+  return {
+    query,
+    total: matches.length,
+    results: matches.slice(0, limit).map(({ incident, score }) => ({
+      incident,
+      score,
+      highlights: {
+        title: highlight(incident.title, query),
+        description: highlight(incident.description, query, SNIPPET_LENGTH),
+      },
+    })),
+  };
+}
+
+/**
+ * Counts incidents by status, category and severity
+ * @param {boolean} includeArchived - Whether archived incidents are counted
+ * @returns {Object} Totals keyed by status, category and severity
+ *
+ * Purpose: Gives the dashboard its KPI numbers without downloading every incident
+ * Usage: Called by the GET /api/incidents/stats endpoint
+ */
+export function getStats(includeArchived = false) {
+  const stats = {
+    total: 0,
+    byStatus: Object.fromEntries(config.incidents.statuses.map((s) => [s, 0])),
+    byCategory: Object.fromEntries(
+      config.incidents.categories.map((c) => [c, 0]),
+    ),
+    bySeverity: Object.fromEntries(
+      config.incidents.severities.map((s) => [s, 0]),
+    ),
+  };
+
+  for (const i of listAll(includeArchived)) {
+    stats.total++;
+    stats.byStatus[i.status] = (stats.byStatus[i.status] || 0) + 1;
+    stats.byCategory[i.category] = (stats.byCategory[i.category] || 0) + 1;
+    stats.bySeverity[i.severity] = (stats.bySeverity[i.severity] || 0) + 1;
+  }
+
+  return stats;
 }
 
 /**
@@ -96,38 +245,137 @@ export function listAll(includeArchived = false) {
  * Usage: Called by GET /api/incidents/:id and other functions that need to access a specific incident
  */
 export function findById(id) {
-  return incidents.find((i) => i.id === id);
+  return adapter.find(id);
 }
 
 /**
  * Creates a new incident
- * @param {Object} data - The incident data (title, description, category, severity)
+ * @param {Object} data - The incident data (title, description, category, severity, reportedBy, location)
+ * @param {Object} meta - { actor } recorded as the first history entry; imports
+ *   may also pass { batchId } and, for historical incidents, { status, reportedAt };
+ *   { duplicateOf } links it as a duplicate of another incident's ID
  * @returns {Object} The created incident with generated id, status, and timestamp
  *
  * Purpose: Creates a new incident record with auto-generated ID and metadata
- * Usage: Called by POST /api/incidents endpoint
+ * Usage: Called by POST /api/incidents and the CSV import
  *
  * The function:
  * 1. Generates a unique UUID for the incident
- * 2. Sets the initial status to "OPEN"
- * 3. Records the current timestamp
- * 4. Adds the incident to the in-memory array
- * 5. Saves to file if auto-save is enabled
+ * 2. Sets the initial status (config.incidents.initialStatus), or the imported status
+ * 3. Records the report timestamp and the creation in its history
+ * 4. Stores the incident through the storage adapter
+ */
+export async function createIncident(data, meta = {}) {
+  const incident = buildIncident(data, meta);
+
+  await adapter.create(incident);
+  indexIncident(incident);
+  await linkBack(incident);
+
+  return incident;
+}
+
+/**
+ * Creates several incidents at once, all or nothing
+ * @param {Array} items - [{ data, status, reportedAt, duplicateOf }] as for createIncident
+ * @param {Object} meta - { actor, batchId } recorded on every incident
+ * @returns {Array} The created incidents
+ *
+ * Purpose: Lets an import commit a whole batch with a single persist
+ * Usage: Called by transactional CSV imports
+ *
+ * The incidents the new ones link to get their side of the links in the same
+ * write. If storage fails nothing is created and nothing is changed.
  */
-export async function createIncident(data) {
+export async function createIncidents(items, meta = {}) {
+  const incidents = items.map(({ data, status, reportedAt, duplicateOf }) =>
+    buildIncident(data, { ...meta, status, reportedAt, duplicateOf }),
+  );
+
+  await adapter.createMany(incidents, backLinkUpdates(incidents));
+  for (const incident of incidents) {
+    indexIncident(incident);
+  }
+
+  return incidents;
+}
+
+/**
+ * Builds a new incident record with its first history entry
+ * (shared by createIncident and createIncidents; nothing is stored yet)
+ */
+function buildIncident(data, meta) {
+  const imported = Boolean(meta.status || meta.reportedAt || meta.batchId);
+
   const incident = {
     id: randomUUID(),
     ...data,
-    status: "OPEN",
-    reportedAt: new Date().toISOString(),
+    status: null,
+    reportedAt: meta.reportedAt || new Date().toISOString(),
+    version: 1,
+    history: [],
   };
+  // Lets a bad import be found and rolled back later
+  if (meta.batchId) incident.batchId = meta.batchId;
+  // Set when the incident was filed knowingly as a repeat of another
+  if (meta.duplicateOf) {
+    incident.links = [
+      newLink("duplicate-of", meta.duplicateOf, { actor: meta.actor }),
+    ];
+  }
+
+  recordTransition(incident, meta.status || config.incidents.initialStatus, {
+    actor: meta.actor,
+    reason: imported ? "Imported" : "Created",
+  });
+
+  return incident;
+}
+
+/**
+ * Edits the descriptive fields of an incident
+ * @param {string} id - The UUID of the incident
+ * @param {Object} changes - Validated field values (title, description, category, severity)
+ * @param {Object} meta - { actor } recorded with the edit
+ * @returns {Object|null} The updated incident or null if not found
+ *
+ * Purpose: Corrects typos or re-grades an incident after creation
+ * Usage: Called by PATCH /api/incidents/:id endpoint
+ *
+ * The function:
+ * 1. Finds the incident by ID
+ * 2. Builds a { field: { from, to } } diff of the values that actually change
+ * 3. Applies the changes and appends the diff to the incident's edits log
+ * 4. Persists it through the storage adapter if anything changed
+ */
+export async function updateIncident(id, changes, meta = {}) {
+  const incident = findById(id);
+  if (!incident) return null;
 
-  incidents.push(incident);
+  const diff = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if ((incident[field] ?? null) !== value) {
+      diff[field] = { from: incident[field] ?? null, to: value };
+    }
+  }
+
+  if (Object.keys(diff).length === 0) return incident;
 
-  if (config.storage.autoSave) {
-    await saveToFile();
+  for (const [field, { to }] of Object.entries(diff)) {
+    incident[field] = to;
   }
 
+  if (!Array.isArray(incident.edits)) incident.edits = [];
+  incident.edits.push({
+    at: new Date().toISOString(),
+    actor: meta.actor || "anonymous",
+    changes: diff,
+  });
+
+  indexIncident(incident);
+
+  await saveIncident(incident);
+
   return incident;
 }
 
@@ -135,102 +383,762 @@ export async function createIncident(data) {
  * Updates the status of an incident
  * @param {string} id - The UUID of the incident
  * @param {string} status - The new status value
+ * @param {Object} meta - { actor, reason } recorded in the incident's history;
+ *   { onTransition(incident) } may change the incident further in the same save
  * @returns {Object|null} The updated incident or null if not found
  *
  * Purpose: Changes the status of an existing incident
- * Usage: Called by PATCH /api/incidents/:id/status endpoint
+ * Usage: Called by the workflow engine (see workflow.js), which decides
+ * whether the change is allowed and supplies its hooks as onTransition
  *
  * The function:
  * 1. Finds the incident by ID
- * 2. Updates its status property
- * 3. Saves to file if auto-save is enabled
- * 4. Returns the updated incident
+ * 2. Records the transition and updates its status property
+ * 3. Runs onTransition, if given
+ * 4. Persists it through the storage adapter and returns it
  */
-export async function updateStatus(id, status) {
+export async function updateStatus(id, status, meta = {}) {
   const incident = findById(id);
   if (!incident) return null;
 
-  incident.status = status;
+  recordTransition(incident, status, meta);
+  if (meta.onTransition) await meta.onTransition(incident);
 
-  if (config.storage.autoSave) {
-    await saveToFile();
-  }
+  await saveIncident(incident);
 
   return incident;
 }
 
 /**
- * Archives an incident (changes status to ARCHIVED)
+ * Gets the status transition history of an incident
+ * @param {string} id - The UUID of the incident
+ * @returns {Array|null} Transitions oldest first, or null if not found
+ *
+ * Purpose: Lets reviewers reconstruct what happened during an incident
+ * Usage: Called by GET /api/incidents/:id/history endpoint
+ */
+export function getHistory(id) {
+  const incident = findById(id);
+  if (!incident) return null;
+  return incident.history || [];
+}
+
+/**
+ * Lists the comments on an incident
  * @param {string} id - The UUID of the incident
- * @returns {Object|null} The archived incident or null if not found/invalid
+ * @returns {Array|null} Comments oldest first, or null if the incident is not found
  *
- * Purpose: Archives an incident that is in OPEN or RESOLVED status
- * Usage: Called by POST /api/incidents/:id/archive endpoint
+ * Usage: Called by GET /api/incidents/:id/comments endpoint
+ */
+export function listComments(id) {
+  const incident = findById(id);
+  if (!incident) return null;
+  return incident.comments || [];
+}
+
+/**
+ * Finds one comment on an incident
+ * @param {string} id - The UUID of the incident
+ * @param {string} commentId - The UUID of the comment
+ * @returns {Object|undefined} The comment or undefined if not found
+ */
+export function findComment(id, commentId) {
+  const incident = findById(id);
+  if (!incident || !Array.isArray(incident.comments)) return undefined;
+  return incident.comments.find((c) => c.id === commentId);
+}
+
+/**
+ * Adds a comment to an incident
+ * @param {string} id - The UUID of the incident
+ * @param {Object} data - Validated comment data ({ body })
+ * @param {Object} meta - { actor } stored as the comment's author
+ * @returns {Object|null} The created comment or null if the incident is not found
  *
- * The function:
- * 1. Finds the incident by ID
- * 2. Validates that current status is OPEN or RESOLVED
- * 3. Changes status to ARCHIVED
- * 4. Saves to file
- * 5. Returns the updated incident
+ * Purpose: Keeps investigation notes with the incident instead of in chat
+ * Usage: Called by POST /api/incidents/:id/comments endpoint
+ */
+export async function addComment(id, data, meta = {}) {
+  const incident = findById(id);
+  if (!incident) return null;
+
+  const now = new Date().toISOString();
+  const comment = {
+    id: randomUUID(),
+    author: meta.actor || "anonymous",
+    body: data.body,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  if (!Array.isArray(incident.comments)) incident.comments = [];
+  incident.comments.push(comment);
+
+  await saveIncident(incident);
+
+  return comment;
+}
+
+/**
+ * Replaces the text of a comment
+ * @param {string} id - The UUID of the incident
+ * @param {string} commentId - The UUID of the comment
+ * @param {Object} data - Validated comment data ({ body })
+ * @returns {Object|null} The updated comment or null if not found
+ *
+ * Usage: Called by PATCH /api/incidents/:id/comments/:commentId endpoint
+ */
+export async function updateComment(id, commentId, data) {
+  const incident = findById(id);
+  if (!incident || !Array.isArray(incident.comments)) return null;
+
+  const comment = incident.comments.find((c) => c.id === commentId);
+  if (!comment) return null;
+
+  comment.body = data.body;
+  comment.updatedAt = new Date().toISOString();
+
+  await saveIncident(incident);
+
+  return comment;
+}
+
+/**
+ * Removes a comment from an incident
+ * @param {string} id - The UUID of the incident
+ * @param {string} commentId - The UUID of the comment
+ * @returns {boolean} True if a comment was removed
+ *
+ * Usage: Called by DELETE /api/incidents/:id/comments/:commentId endpoint
+ */
+export async function deleteComment(id, commentId) {
+  const incident = findById(id);
+  if (!incident || !Array.isArray(incident.comments)) return false;
+
+  const index = incident.comments.findIndex((c) => c.id === commentId);
+  if (index === -1) return false;
+
+  incident.comments.splice(index, 1);
+
+  await saveIncident(incident);
+
+  return true;
+}
+
+/**
+ * Resolves where an attachment's file lives on disk
+ * @param {string} id - The UUID of the incident
+ * @param {Object} attachment - Attachment metadata with storedName
+ * @returns {string} Absolute file path
+ */
+export function attachmentPath(id, attachment) {
+  return path.resolve(config.storage.attachmentsDir, id, attachment.storedName);
+}
+
+/**
+ * Lists the attachments on an incident
+ * @param {string} id - The UUID of the incident
+ * @returns {Array|null} Attachment metadata, or null if the incident is not found
+ *
+ * Usage: Called by GET /api/incidents/:id/attachments endpoint
+ */
+export function listAttachments(id) {
+  const incident = findById(id);
+  if (!incident) return null;
+  return incident.attachments || [];
+}
+
+/**
+ * Finds one attachment on an incident
+ * @param {string} id - The UUID of the incident
+ * @param {string} attachmentId - The UUID of the attachment
+ * @returns {Object|undefined} The attachment metadata or undefined if not found
+ */
+export function findAttachment(id, attachmentId) {
+  const incident = findById(id);
+  if (!incident || !Array.isArray(incident.attachments)) return undefined;
+  return incident.attachments.find((a) => a.id === attachmentId);
+}
+
+/**
+ * Records an uploaded file as an attachment of an incident
+ * @param {string} id - The UUID of the incident
+ * @param {Object} file - The multer file already written to the incident's folder
+ * @param {Object} meta - { actor } stored as the uploader
+ * @returns {Object|null} The attachment metadata or null if the incident is not found
+ *
+ * Purpose: Keeps photos, logs and PDFs with the incident they document
+ * Usage: Called by POST /api/incidents/:id/attachments endpoint
  */
-export async function archiveIncident(id) {
+export async function addAttachment(id, file, meta = {}) {
   const incident = findById(id);
   if (!incident) return null;
 
-  // Can only archive incidents in OPEN or RESOLVED status
-  if (incident.status !== "OPEN" && incident.status !== "RESOLVED") {
-    return null;
+  const attachment = {
+    id: randomUUID(),
+    name: file.originalname,
+    storedName: file.filename,
+    size: file.size,
+    mimeType: file.mimetype,
+    uploadedBy: meta.actor || "anonymous",
+    uploadedAt: new Date().toISOString(),
+  };
+
+  if (!Array.isArray(incident.attachments)) incident.attachments = [];
+  incident.attachments.push(attachment);
+
+  await saveIncident(incident);
+
+  return attachment;
+}
+
+/**
+ * Removes an attachment and its file
+ * @param {string} id - The UUID of the incident
+ * @param {string} attachmentId - The UUID of the attachment
+ * @returns {boolean} True if an attachment was removed
+ *
+ * Usage: Called by DELETE /api/incidents/:id/attachments/:attachmentId endpoint
+ */
+export async function deleteAttachment(id, attachmentId) {
+  const incident = findById(id);
+  if (!incident || !Array.isArray(incident.attachments)) return false;
+
+  const index = incident.attachments.findIndex((a) => a.id === attachmentId);
+  if (index === -1) return false;
+
+  const [attachment] = incident.attachments.splice(index, 1);
+
+  await saveIncident(incident);
+
+  try {
+    await fs.unlink(attachmentPath(id, attachment));
+  } catch (error) {
+    // The metadata is gone either way; a missing file is not worth failing over
+    if (error.code !== "ENOENT") {
+      console.error("Error deleting attachment file:", error);
+    }
   }
 
-  incident.status = "ARCHIVED";
+  return true;
+}
 
-  if (config.storage.autoSave) {
-    await saveToFile();
+/**
+ * Folds duplicate incidents into another one
+ * @param {string} targetId - The UUID of the incident that survives
+ * @param {Array<string>} sourceIds - UUIDs of the incidents merged into it
+ * @param {Object} meta - { actor, reason } recorded on every incident involved,
+ *   and archiveWith(source), which returns { ok, to, onTransition } saying how
+ *   a source is archived, or { ok: false, error } to refuse the merge
+ * @returns {Promise<Object|null>} { ok, incident, sources } or { ok: false, error,
+ *   missing } when refused; null if the target is not found
+ *
+ * Purpose: Consolidates several reports of the same incident into one
+ * Usage: Called through mergeThroughWorkflow (workflow.js), which supplies archiveWith
+ *
+ * The function:
+ * 1. Checks every source exists, that no incident involved was merged before
+ *    and that every source may be archived
+ * 2. Moves each source's comments and attachments (files included) to the target
+ * 3. Copies each source's history into the target's, tagged with mergedFrom
+ * 4. Re-points each source's links at the target
+ * 5. Archives each source with a mergedInto pointer to the target
+ * 6. Lists the sources in the target's merges log and persists everything
+ */
+export async function mergeIncidents(targetId, sourceIds, meta = {}) {
+  const target = findById(targetId);
+  if (!target) return null;
+
+  if (target.mergedInto) {
+    return {
+      ok: false,
+      error: `The target incident has itself been merged into ${target.mergedInto}`,
+    };
   }
 
-  return incident;
+  const sources = sourceIds.map((id) => findById(id));
+  const missing = sourceIds.filter((id, i) => !sources[i]);
+  if (missing.length > 0) {
+    return {
+      ok: false,
+      error: `Incident(s) not found: ${missing.join(", ")}`,
+      missing,
+    };
+  }
+
+  const alreadyMerged = sources.filter((s) => s.mergedInto);
+  if (alreadyMerged.length > 0) {
+    return {
+      ok: false,
+      error: `Already merged into another incident: ${alreadyMerged.map((s) => s.id).join(", ")}`,
+    };
+  }
+
+  // How each source gets archived, settled before anything is changed
+  const archiving = new Map();
+  for (const source of sources) {
+    if (source.status === config.incidents.archivedStatus) continue;
+    const plan = meta.archiveWith(source);
+    if (!plan.ok) return { ok: false, error: plan.error };
+    archiving.set(source.id, plan);
+  }
+
+  const now = new Date().toISOString();
+  const actor = meta.actor || "anonymous";
+  const byTime = (field) => (a, b) =>
+    String(a[field] || "").localeCompare(String(b[field] || ""));
+
+  if (!Array.isArray(target.comments)) target.comments = [];
+  if (!Array.isArray(target.attachments)) target.attachments = [];
+  if (!Array.isArray(target.history)) target.history = [];
+  if (!Array.isArray(target.merges)) target.merges = [];
+  if (!Array.isArray(target.links)) target.links = [];
+
+  // Every incident the merge changes, loaded once: some adapters hand out a
+  // fresh copy on each findById, so edits must all go to the same object
+  const involved = new Map([
+    [target.id, target],
+    ...sources.map((source) => [source.id, source]),
+  ]);
+  function load(id) {
+    if (!involved.has(id)) involved.set(id, findById(id));
+    return involved.get(id);
+  }
+
+  for (const source of sources) {
+    const attachments = source.attachments || [];
+    await moveAttachmentFiles(source.id, target.id, attachments);
+
+    const tag = (entry) => ({ ...entry, mergedFrom: source.id });
+    target.comments.push(...(source.comments || []).map(tag));
+    target.attachments.push(...attachments.map(tag));
+    target.history.push(...(source.history || []).map(tag));
+    target.merges.push({
+      id: source.id,
+      title: source.title,
+      at: now,
+      actor,
+      reason: meta.reason || null,
+    });
+
+    source.comments = [];
+    source.attachments = [];
+    const plan = archiving.get(source.id);
+    if (plan) {
+      recordTransition(source, plan.to, {
+        actor,
+        reason: meta.reason
+          ? `Merged into ${target.id}: ${meta.reason}`
+          : `Merged into ${target.id}`,
+      });
+      await plan.onTransition(source);
+    }
+    source.mergedInto = target.id;
+    source.mergedAt = now;
+    source.mergedBy = actor;
+
+    // Links move to the target, except those between the merged incidents
+    for (const link of source.links || []) {
+      const other = load(link.incidentId);
+      if (!other) continue;
+      dropLinks(other, source.id);
+      if (other.id === target.id || sourceIds.includes(other.id)) continue;
+
+      const exists = target.links.some(
+        (l) => l.incidentId === other.id && l.type === link.type,
+      );
+      // Parent/child links move only if the target keeps a single parent
+      // and does not become its own ancestor
+      const [parent, child] =
+        link.type === "child-of"
+          ? [other, target]
+          : link.type === "parent-of"
+            ? [target, other]
+            : [];
+      const refused =
+        child && (parentOf(child, load) || wouldCycle(parent, child, load));
+      if (!exists && !refused) {
+        linkPair(target, link.type, other, { actor });
+      }
+    }
+    source.links = [];
+  }
+
+  target.comments.sort(byTime("createdAt"));
+  target.history.sort(byTime("at"));
+  // Sources and linked incidents first, then the target
+  involved.delete(target.id);
+  for (const incident of involved.values()) {
+    if (incident) await saveIncident(incident);
+  }
+  await saveIncident(target);
+
+  return { ok: true, incident: target, sources };
+}
+
+/**
+ * Moves attachment files from one incident's folder to another's
+ * A file already missing on disk is skipped; its metadata still moves
+ */
+async function moveAttachmentFiles(fromId, toId, attachments) {
+  if (attachments.length === 0) return;
+
+  await fs.mkdir(path.resolve(config.storage.attachmentsDir, toId), {
+    recursive: true,
+  });
+
+  for (const attachment of attachments) {
+    try {
+      await fs.rename(
+        attachmentPath(fromId, attachment),
+        attachmentPath(toId, attachment),
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  // Only removed once empty, so nothing is lost if a file could not be moved
+  await fs
+    .rmdir(path.resolve(config.storage.attachmentsDir, fromId))
+    .catch(() => {});
+}
+
+/**
+ * Builds one side of a link between two incidents
+ */
+function newLink(type, incidentId, meta = {}) {
+  return {
+    type,
+    incidentId,
+    createdAt: new Date().toISOString(),
+    createdBy: meta.actor || "anonymous",
+  };
+}
+
+/**
+ * Records a link on both incidents; the other one gets the inverse type
+ * (nothing is persisted here)
+ */
+function linkPair(incident, type, other, meta) {
+  const link = newLink(type, other.id, meta);
+  if (!Array.isArray(incident.links)) incident.links = [];
+  if (!Array.isArray(other.links)) other.links = [];
+  incident.links.push(link);
+  other.links.push({
+    ...link,
+    type: config.incidents.linkTypes[type],
+    incidentId: incident.id,
+  });
+  return link;
+}
+
+/**
+ * Adds the other side of a new incident's links to the incidents they point to
+ */
+async function linkBack(incident) {
+  for (const link of incident.links || []) {
+    const other = findById(link.incidentId);
+    if (!other) continue;
+    if (!Array.isArray(other.links)) other.links = [];
+    other.links.push({
+      ...link,
+      type: config.incidents.linkTypes[link.type],
+      incidentId: incident.id,
+    });
+    await saveIncident(other);
+  }
+}
+
+/**
+ * Prepares the other side of new incidents' links without storing anything
+ * @returns {Array} Updated copies of the incidents linked to, each once and
+ *   under its next version, for adapter.createMany to write with the new ones
+ */
+function backLinkUpdates(incidents) {
+  const updates = new Map();
+  for (const incident of incidents) {
+    for (const link of incident.links || []) {
+      let other = updates.get(link.incidentId);
+      if (!other) {
+        const stored = findById(link.incidentId);
+        if (!stored) continue;
+        // A copy, so a failed write leaves the stored incident untouched
+        other = {
+          ...stored,
+          links: [...(stored.links || [])],
+          version: (stored.version || 1) + 1,
+        };
+        updates.set(other.id, other);
+      }
+      other.links.push({
+        ...link,
+        type: config.incidents.linkTypes[link.type],
+        incidentId: incident.id,
+      });
+    }
+  }
+  return [...updates.values()];
+}
+
+/**
+ * Removes an incident's links to another one, of one type or all of them
+ * @returns {number} How many links were removed
+ */
+function dropLinks(incident, incidentId, type) {
+  const links = incident.links || [];
+  incident.links = links.filter(
+    (l) => !(l.incidentId === incidentId && (!type || l.type === type)),
+  );
+  return links.length - incident.links.length;
+}
+
+/**
+ * Gets the parent of an incident, if it has one
+ */
+function parentOf(incident, find = findById) {
+  const link = (incident.links || []).find((l) => l.type === "child-of");
+  return link ? find(link.incidentId) : null;
+}
+
+/**
+ * Tells whether making `parent` the parent of `child` would make an incident
+ * its own ancestor
+ * @param {Function} find - Looks incidents up by ID; a merge passes the copies
+ *   it is editing so unsaved link changes count
+ */
+function wouldCycle(parent, child, find = findById) {
+  for (let p = parent; p; p = parentOf(p, find)) {
+    if (p.id === child.id) return true;
+  }
+  return false;
+}
+
+/**
+ * Lists the links of an incident with a summary of each linked incident
+ * @param {string} id - The UUID of the incident
+ * @returns {Array|null} [{ type, incidentId, createdAt, createdBy, incident }],
+ *   or null if the incident is not found; `incident` is null if it no longer exists
+ *
+ * Usage: Called by GET /api/incidents/:id/links endpoint
+ */
+export function listLinks(id) {
+  const incident = findById(id);
+  if (!incident) return null;
+
+  return (incident.links || []).map((link) => {
+    const other = findById(link.incidentId);
+    return {
+      ...link,
+      incident: other
+        ? {
+            id: other.id,
+            title: other.title,
+            status: other.status,
+            category: other.category,
+            severity: other.severity,
+          }
+        : null,
+    };
+  });
 }
 
 /**
- * Resets an archived incident back to OPEN status
+ * Links an incident to another one
  * @param {string} id - The UUID of the incident
- * @returns {Object|null} The reset incident or null if not found/invalid
+ * @param {Object} data - Validated link ({ type, incidentId })
+ * @param {Object} meta - { actor } recorded with the link
+ * @returns {Promise<Object|null>} { ok, link } or { ok: false, error, notFound }
+ *   when refused; null if the incident is not found
  *
- * Purpose: Restores an archived incident back to active status (OPEN)
- * Usage: Called by POST /api/incidents/:id/reset endpoint
+ * Purpose: Groups incidents with a common cause, e.g. everything a single
+ * power failure set off, under one parent
+ * Usage: Called by POST /api/incidents/:id/links endpoint
  *
- * The function:
- * 1. Finds the incident by ID
- * 2. Validates that current status is ARCHIVED
- * 3. Changes status back to OPEN
- * 4. Saves to file
- * 5. Returns the updated incident
+ * Both incidents record the link; the other one gets the inverse type
+ * (parent-of / child-of, caused-by / causes, duplicate-of / duplicated-by).
+ * An incident has at most one parent and cannot become its own ancestor.
  */
-export async function resetArchivedIncident(id) {
+export async function addLink(id, data, meta = {}) {
   const incident = findById(id);
   if (!incident) return null;
 
-  if (incident.status !== "ARCHIVED") {
-    return null;
+  const other = findById(data.incidentId);
+  if (!other) {
+    return { ok: false, error: "Linked incident not found", notFound: true };
+  }
+  if (other.mergedInto) {
+    return {
+      ok: false,
+      error: `That incident was merged into ${other.mergedInto}; link to that one instead`,
+    };
+  }
+  if (
+    (incident.links || []).some(
+      (l) => l.incidentId === other.id && l.type === data.type,
+    )
+  ) {
+    return { ok: false, error: "These incidents are already linked this way" };
+  }
+
+  const [parent, child] =
+    data.type === "parent-of"
+      ? [incident, other]
+      : data.type === "child-of"
+        ? [other, incident]
+        : [];
+  if (child) {
+    if (parentOf(child)) {
+      return { ok: false, error: `Incident ${child.id} already has a parent` };
+    }
+    if (wouldCycle(parent, child)) {
+      return {
+        ok: false,
+        error: "An incident cannot be a parent of its own ancestor",
+      };
+    }
+  }
+
+  const link = linkPair(incident, data.type, other, meta);
+  await saveIncident(incident);
+  await saveIncident(other);
+
+  return { ok: true, link };
+}
+
+/**
+ * Removes the links between two incidents, from both sides
+ * @param {string} id - The UUID of the incident
+ * @param {string} incidentId - The UUID of the linked incident
+ * @param {string} type - Only remove links of this type (optional)
+ * @returns {Promise<boolean>} True if a link was removed
+ *
+ * Usage: Called by DELETE /api/incidents/:id/links/:incidentId endpoint
+ */
+export async function removeLink(id, incidentId, type) {
+  const incident = findById(id);
+  if (!incident) return false;
+
+  const removed = (incident.links || []).filter(
+    (l) => l.incidentId === incidentId && (!type || l.type === type),
+  );
+  if (removed.length === 0) return false;
+
+  dropLinks(incident, incidentId, type);
+  await saveIncident(incident);
+
+  const other = findById(incidentId);
+  if (other) {
+    for (const link of removed) {
+      dropLinks(other, id, config.incidents.linkTypes[link.type]);
+    }
+    await saveIncident(other);
+  }
+
+  return true;
+}
+
+/**
+ * Lists the child incidents that are still open
+ * @param {string} id - The UUID of the parent incident
+ * @returns {Array} Children not in one of config.incidents.closedStatuses
+ *
+ * Usage: Checked before a parent incident is resolved
+ */
+export function findOpenChildren(id) {
+  const incident = findById(id);
+  if (!incident) return [];
+
+  return (incident.links || [])
+    .filter((l) => l.type === "parent-of")
+    .map((l) => findById(l.incidentId))
+    .filter(
+      (child) =>
+        child && !config.incidents.closedStatuses.includes(child.status),
+    );
+}
+
+/**
+ * Finds the parent of an incident
+ * @param {string} id - The UUID of the child incident
+ * @returns {Object|null} The parent incident, or null if it has none
+ *
+ * Usage: Checked before a child incident is reopened
+ */
+export function findParent(id) {
+  const incident = findById(id);
+  return incident ? parentOf(incident) : null;
+}
+
+/**
+ * Permanently deletes an incident and its attachment files
+ * @param {string} id - The UUID of the incident
+ * @returns {Promise<boolean>} True if an incident was deleted
+ *
+ * Purpose: Removes incidents that should never have been created
+ * Usage: Called when rolling back an import batch; everyday removal is archiving
+ */
+export async function deleteIncident(id) {
+  const incident = findById(id);
+  if (!incident) return false;
+
+  // Leave no links pointing at an incident that no longer exists
+  for (const link of incident.links || []) {
+    const other = findById(link.incidentId);
+    if (other && dropLinks(other, id) > 0) await saveIncident(other);
   }
 
-  incident.status = "OPEN";
+  const deleted = await adapter.delete(id);
+  if (!deleted) return false;
+
+  removeFromIndex(id);
+  await fs.rm(path.resolve(config.storage.attachmentsDir, id), {
+    recursive: true,
+    force: true,
+  });
 
-  if (config.storage.autoSave) {
-    await saveToFile();
+  return true;
+}
+
+/**
+ * Replaces every incident in the store
+ * @param {Array} list - The full set of incidents to load
+ * @returns {Promise<number>} Number of incidents now in the store
+ *
+ * Purpose: Swaps in a restored snapshot without restarting the server
+ * Usage: Called by the backups module when restoring a snapshot
+ */
+export async function replaceAll(list) {
+  if (!Array.isArray(list)) {
+    throw new Error("Incidents data must be an array");
   }
 
-  return incident;
+  await adapter.replaceAll(list);
+  rebuildIndex(list);
+
+  return list.length;
 }
 
 /**
- * Manually triggers a save to file
+ * Manually triggers a save to storage
  * @returns {Promise<void>}
  *
  * Purpose: Allows manual triggering of file save operation
  * Usage: Can be called when auto-save is disabled or for manual backup
  */
 export async function save() {
-  await saveToFile();
+  await adapter.flush();
+}
+
+/**
+ * Closes the storage adapter
+ * @returns {Promise<void>}
+ *
+ * Usage: Called on shutdown so pending writes finish and files are released
+ */
+export async function closeStore() {
+  if (!adapter) return;
+  await adapter.close();
+  adapter = null;
+  isInitialized = false;
 }
@@ -0,0 +1,125 @@
+/**
+ * Recovery Module
+ * Handles an incidents data file that exists but cannot be parsed.
+ * The damaged file is quarantined, and whatever records can still be read are salvaged.
+ * config.storage.onCorruptData selects "recover" (default) or "fail" (refuse to start).
+ */
+
+import fs from "fs/promises";
+import { config } from "../../config.js";
+
+/**
+ * Extracts every complete top-level JSON object from damaged text
+ * @param {string} text - The raw contents of the data file
+ * @returns {Object} { records, skipped } where skipped counts objects that failed to parse
+ *
+ * Purpose: A truncated write or a bad hand edit usually damages one spot;
+ * the incidents around it are still intact and worth keeping
+ *
+ * Walks the text tracking string and brace state, so braces inside
+ * titles and descriptions do not confuse it. Only objects with an id are kept,
+ * and the first copy of each id wins.
+ */
+export function salvageRecords(text) {
+  const records = [];
+  const seen = new Set();
+  let skipped = 0;
+
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === "{") {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === "}" && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        try {
+          const record = JSON.parse(text.slice(start, i + 1));
+          if (record && typeof record.id === "string" && !seen.has(record.id)) {
+            seen.add(record.id);
+            records.push(record);
+          } else {
+            skipped++;
+          }
+        } catch {
+          skipped++;
+        }
+      }
+    }
+  }
+
+  // An object that was still open at the end of the file was cut off
+  if (depth > 0) skipped++;
+
+  return { records, skipped };
+}
+
+/**
+ * Moves a damaged data file aside so it is never overwritten
+ * @param {string} filePath - The data file
+ * @returns {Promise<string>} The path it was moved to
+ */
+async function quarantineFile(filePath) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const target = `${filePath}.corrupt-${stamp}`;
+  await fs.rename(filePath, target);
+  return target;
+}
+
+/**
+ * Decides what to do with an unparseable data file
+ * @param {string} filePath - The data file
+ * @param {string} text - Its raw contents
+ * @param {Error} parseError - Why it could not be loaded
+ * @returns {Promise<Object>} { incidents, report }
+ *
+ * Usage: Called by initializeStore when the data file fails to parse
+ *
+ * In "fail" mode this throws and leaves the file untouched, so the server
+ * refuses to start. Otherwise the file is quarantined and the salvaged
+ * records are returned along with a report describing what happened.
+ */
+export async function recoverCorruptFile(filePath, text, parseError) {
+  if (config.storage.onCorruptData === "fail") {
+    throw new Error(
+      `Incidents data file ${filePath} is corrupt (${parseError.message}). ` +
+        'Fix or restore it, or set config.storage.onCorruptData to "recover".',
+    );
+  }
+
+  const quarantinedTo = await quarantineFile(filePath);
+  const { records, skipped } = salvageRecords(text);
+
+  const report = {
+    recoveredAt: new Date().toISOString(),
+    error: parseError.message,
+    quarantinedTo,
+    recovered: records.length,
+    unrecoverable: skipped,
+  };
+
+  console.warn("==========================================");
+  console.warn("Incidents data file was corrupt and has been recovered");
+  console.warn(`  Parse error:     ${report.error}`);
+  console.warn(`  Quarantined to:  ${report.quarantinedTo}`);
+  console.warn(`  Recovered:       ${report.recovered} incidents`);
+  console.warn(`  Unrecoverable:   ${report.unrecoverable} records`);
+  console.warn("==========================================");
+
+  return { incidents: records, report };
+}
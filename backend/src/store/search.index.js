@@ -0,0 +1,201 @@
+/**
+ * Search Index Module
+ * Maintains an in-memory inverted index over incident titles and descriptions.
+ * The incidents store keeps it in sync; routes query it through searchIncidents().
+ */
+
+// Title hits count for more than description hits when ranking
+const FIELD_WEIGHTS = { title: 3, description: 1 };
+
+// A prefix hit ("conv" → "conveyor") scores less than a whole-word hit
+const PREFIX_FACTOR = 0.5;
+
+export const SNIPPET_LENGTH = 160;
+
+// token -> Map(incidentId -> { title: count, description: count })
+const postings = new Map();
+
+// incidentId -> tokens it was indexed under, so it can be removed later
+const indexedTokens = new Map();
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Splits text into lower-cased word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens in order of appearance
+ */
+export function tokenize(text) {
+  if (!text || typeof text !== "string") return [];
+  return text.toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Adds (or re-adds) one incident to the index
+ * @param {Object} incident - The incident to index
+ *
+ * Purpose: Keeps the index current after a create or an edit
+ * Usage: Called by the incidents store whenever an incident's text changes
+ */
+export function indexIncident(incident) {
+  removeFromIndex(incident.id);
+
+  const tokens = new Set();
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    for (const token of tokenize(incident[field])) {
+      let entries = postings.get(token);
+      if (!entries) {
+        entries = new Map();
+        postings.set(token, entries);
+      }
+      let counts = entries.get(incident.id);
+      if (!counts) {
+        counts = { title: 0, description: 0 };
+        entries.set(incident.id, counts);
+      }
+      counts[field]++;
+      tokens.add(token);
+    }
+  }
+
+  indexedTokens.set(incident.id, tokens);
+}
+
+/**
+ * Removes one incident from the index
+ * @param {string} id - The UUID of the incident
+ */
+export function removeFromIndex(id) {
+  const tokens = indexedTokens.get(id);
+  if (!tokens) return;
+
+  for (const token of tokens) {
+    const entries = postings.get(token);
+    if (!entries) continue;
+    entries.delete(id);
+    if (entries.size === 0) postings.delete(token);
+  }
+
+  indexedTokens.delete(id);
+}
+
+/**
+ * Rebuilds the whole index from a list of incidents
+ * @param {Array} incidents - Every incident in the store
+ *
+ * Usage: Called once when the store is initialized
+ */
+export function rebuildIndex(incidents) {
+  postings.clear();
+  indexedTokens.clear();
+  for (const incident of incidents) {
+    indexIncident(incident);
+  }
+}
+
+/**
+ * Scores every incident matching all query terms
+ * @param {string} query - Free-text query
+ * @returns {Map<string, number>} Incident ID -> relevance score
+ *
+ * Each query term matches index tokens that equal it or start with it.
+ * An incident must match every term to be returned.
+ */
+export function scoreQuery(query) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return new Map();
+
+  let scores = null;
+
+  for (const term of terms) {
+    const termScores = new Map();
+
+    for (const [token, entries] of postings) {
+      if (!token.startsWith(term)) continue;
+      const factor = token === term ? 1 : PREFIX_FACTOR;
+
+      for (const [id, counts] of entries) {
+        const score =
+          factor *
+          (counts.title * FIELD_WEIGHTS.title +
+            counts.description * FIELD_WEIGHTS.description);
+        termScores.set(id, (termScores.get(id) || 0) + score);
+      }
+    }
+
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      // Keep only incidents that matched every earlier term too
+      const combined = new Map();
+      for (const [id, score] of termScores) {
+        if (scores.has(id)) combined.set(id, scores.get(id) + score);
+      }
+      scores = combined;
+    }
+
+    if (scores.size === 0) break;
+  }
+
+  return scores;
+}
+
+/**
+ * Splits text into plain and highlighted segments for the given query
+ * @param {string} text - The field text
+ * @param {string} query - Free-text query
+ * @param {number} maxLength - Trim to a window around the first hit (0 = no trim)
+ * @returns {Array<{text: string, match: boolean}>} Segments in order
+ *
+ * Purpose: Lets the frontend render highlights without injecting HTML
+ */
+export function highlight(text, query, maxLength = 0) {
+  if (!text) return [];
+  const terms = [...new Set(tokenize(query))];
+
+  let source = text;
+  let prefix = "";
+  let suffix = "";
+
+  const hits = [];
+  for (const m of text.matchAll(TOKEN_PATTERN)) {
+    const word = m[0].toLowerCase();
+    if (terms.some((t) => word.startsWith(t))) {
+      hits.push({ start: m.index, end: m.index + m[0].length });
+    }
+  }
+
+  let offset = 0;
+  if (maxLength > 0 && text.length > maxLength) {
+    const firstHit = hits.length > 0 ? hits[0].start : 0;
+    offset = Math.max(0, Math.min(firstHit - 40, text.length - maxLength));
+    source = text.slice(offset, offset + maxLength);
+    if (offset > 0) prefix = "…";
+    if (offset + maxLength < text.length) suffix = "…";
+  }
+
+  const segments = [];
+  let cursor = 0;
+  for (const hit of hits) {
+    const start = hit.start - offset;
+    const end = Math.min(hit.end - offset, source.length);
+    if (start < cursor || start >= source.length) continue;
+    if (start > cursor) {
+      segments.push({ text: source.slice(cursor, start), match: false });
+    }
+    segments.push({ text: source.slice(start, end), match: true });
+    cursor = end;
+  }
+  if (cursor < source.length) {
+    segments.push({ text: source.slice(cursor), match: false });
+  }
+
+  if (prefix && segments.length > 0) {
+    segments.unshift({ text: prefix, match: false });
+  }
+  if (suffix && segments.length > 0) {
+    segments.push({ text: suffix, match: false });
+  }
+
+  return segments;
+}
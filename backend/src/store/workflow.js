@@ -0,0 +1,291 @@
+/**
+ * Workflow Module
+ * Moves incidents between statuses as described by config.workflow: which
+ * transitions exist, the guards that must pass before one is taken and the
+ * hooks that run with it. Status changes, archiving and resetting all go
+ * through applyTransition; merging archives its sources through
+ * mergeThroughWorkflow.
+ */
+
+import { config } from "../../config.js";
+import {
+  findById,
+  updateStatus,
+  findOpenChildren,
+  findParent,
+  mergeIncidents,
+} from "./incidents.store.js";
+
+// The system transition merging takes to archive each source
+const MERGE_TRANSITION = "merge";
+
+// Guard kinds a transition can use; each returns an error message, or null to allow it
+const GUARDS = {
+  requiredFields(fields, { incident }) {
+    const missing = fields.filter(
+      (f) =>
+        incident[f] === undefined || incident[f] === null || incident[f] === "",
+    );
+    return missing.length > 0 ? `Fill in ${missing.join(", ")} first` : null;
+  },
+
+  roles(roles, { actor }) {
+    const allowed = roles.some((role) =>
+      (config.workflow.roles[role] || []).includes(actor),
+    );
+    return allowed ? null : `Only ${roles.join(" or ")} can do this`;
+  },
+
+  requireComment(required, { reason }) {
+    return required && !reason
+      ? "A comment explaining this change is required"
+      : null;
+  },
+
+  noOpenChildren(required, { incident }) {
+    if (!required) return null;
+    const open = findOpenChildren(incident.id);
+    return open.length > 0
+      ? `Resolve the ${open.length} open child incident(s) first`
+      : null;
+  },
+
+  parentOpen(required, { incident }) {
+    if (!required) return null;
+    const parent = findParent(incident.id);
+    return parent && config.incidents.closedStatuses.includes(parent.status)
+      ? `Reopen the parent incident "${parent.title}" first`
+      : null;
+  },
+};
+
+// Hook kinds a transition can run; each may change the incident before it is saved
+const HOOKS = {
+  stamp({ field }, { incident, at }) {
+    incident[field] = at;
+  },
+
+  clear({ field }, { incident }) {
+    incident[field] = null;
+  },
+};
+
+const transitions = Object.entries(config.workflow.transitions).map(
+  ([name, t]) => ({
+    name,
+    from: t.from,
+    to: t.to,
+    guards: t.guards || {},
+    hooks: t.hooks || [],
+    system: Boolean(t.system),
+  }),
+);
+
+// Checked when the server starts, so a mistake in the workflow fails loudly
+for (const t of transitions) {
+  for (const status of [...t.from, t.to]) {
+    if (!config.incidents.statuses.includes(status)) {
+      throw new Error(
+        `Workflow transition "${t.name}" uses unknown status ${status}`,
+      );
+    }
+  }
+  for (const guard of Object.keys(t.guards)) {
+    if (!GUARDS[guard]) {
+      throw new Error(
+        `Workflow transition "${t.name}" has unknown guard ${guard}`,
+      );
+    }
+  }
+  for (const hook of t.hooks) {
+    if (!HOOKS[hook.type]) {
+      throw new Error(
+        `Workflow transition "${t.name}" has unknown hook ${hook.type}`,
+      );
+    }
+  }
+}
+if (!transitions.some((t) => t.name === MERGE_TRANSITION && t.system)) {
+  throw new Error(
+    `The workflow needs a system transition "${MERGE_TRANSITION}" to archive merged incidents`,
+  );
+}
+
+// Transitions users can ask for; system ones are only taken by the server
+const userTransitions = transitions.filter((t) => !t.system);
+
+/**
+ * Lists every configured transition
+ * @returns {Array} [{ name, from, to, guards, system }] in the order they are
+ *   configured
+ *
+ * Usage: Published by GET /api/meta so clients can label and order actions
+ */
+export function getTransitions() {
+  return transitions.map(({ name, from, to, guards, system }) => ({
+    name,
+    from,
+    to,
+    guards,
+    system,
+  }));
+}
+
+/**
+ * Runs a transition's guards against an incident
+ * @param {Object} incident - The incident about to change
+ * @param {Object} transition - One of the configured transitions
+ * @param {Object} context - { actor, reason } of the request
+ * @returns {Array} [{ guard, error }] for every guard that refused; empty to allow
+ */
+function checkGuards(incident, transition, context = {}) {
+  const failures = [];
+  for (const [guard, option] of Object.entries(transition.guards)) {
+    const error = GUARDS[guard](option, { ...context, incident });
+    if (error) failures.push({ guard, error });
+  }
+  return failures;
+}
+
+/**
+ * Runs a transition's hooks on an incident that has just changed status
+ * The time of the change is taken from the history entry it recorded
+ */
+async function runHooks(transition, incident, context = {}) {
+  const at = incident.history[incident.history.length - 1].at;
+  for (const hook of transition.hooks) {
+    await HOOKS[hook.type](hook, { ...context, incident, at });
+  }
+}
+
+/**
+ * Lists the transitions an incident can take from its current status
+ * @param {Object} incident - The incident
+ * @param {Object} context - { actor } to evaluate the guards with
+ * @returns {Array} [{ name, to, allowed, errors, requiresComment }]; errors
+ *   explain refused guards
+ *
+ * Usage: Called by GET /api/incidents/:id/transitions so clients can offer
+ * only the actions that will work
+ *
+ * The comment is written when the change is made, so requireComment is
+ * reported as requiresComment instead of refusing the transition here.
+ */
+export function listTransitions(incident, context = {}) {
+  return userTransitions
+    .filter((t) => t.from.includes(incident.status))
+    .map((t) => {
+      const failures = checkGuards(incident, t, context).filter(
+        (f) => f.guard !== "requireComment",
+      );
+      return {
+        name: t.name,
+        to: t.to,
+        allowed: failures.length === 0,
+        errors: failures.map((f) => f.error),
+        requiresComment: Boolean(t.guards.requireComment),
+      };
+    });
+}
+
+/**
+ * Takes an incident through a workflow transition
+ * @param {string} id - The UUID of the incident
+ * @param {Object} request - { name } of the transition, or the { to } status
+ * @param {Object} context - { actor, reason } recorded in the incident's history
+ * @returns {Promise<Object|null>} { ok, incident }, or { ok: false, error,
+ *   failures } when refused; null if the incident is not found
+ *
+ * Purpose: One place that decides whether a status change is allowed
+ * Usage: Called by the status, archive and reset routes
+ *
+ * The function:
+ * 1. Finds a transition from the current status matching the request
+ * 2. Runs its guards; any refusal stops the change (failures lists them)
+ * 3. Records the new status and runs the transition's hooks
+ * 4. Persists the incident once, with the status and hook changes together
+ */
+export async function applyTransition(id, request, context = {}) {
+  const incident = findById(id);
+  if (!incident) return null;
+
+  const available = userTransitions.filter((t) =>
+    t.from.includes(incident.status),
+  );
+  const transition = available.find((t) =>
+    request.name ? t.name === request.name : t.to === request.to,
+  );
+
+  if (!transition) {
+    const wanted = request.name
+      ? `"${request.name}"`
+      : `to ${request.to ?? "(none)"}`;
+    return {
+      ok: false,
+      error: `Invalid status transition ${wanted} from ${incident.status}. Allowed: ${
+        available.map((t) => `${t.name} (${t.to})`).join(", ") || "none"
+      }`,
+      failures: [],
+    };
+  }
+
+  const failures = checkGuards(incident, transition, context);
+  if (failures.length > 0) {
+    return {
+      ok: false,
+      error: failures.map((f) => f.error).join("; "),
+      failures,
+    };
+  }
+
+  const updated = await updateStatus(id, transition.to, {
+    actor: context.actor,
+    reason: context.reason,
+    onTransition: (changed) => runHooks(transition, changed, context),
+  });
+
+  return { ok: true, incident: updated, transition: transition.name };
+}
+
+/**
+ * Merges incidents, archiving each source through the "merge" transition
+ * @param {string} targetId - The UUID of the incident that survives
+ * @param {Array<string>} sourceIds - UUIDs of the incidents merged into it
+ * @param {Object} context - { actor, reason } of the request
+ * @returns {Promise<Object|null>} The result of mergeIncidents
+ *
+ * Usage: Called by POST /api/incidents/:id/merge endpoint
+ *
+ * A source the transition cannot be taken from, or whose guards refuse,
+ * stops the whole merge before anything is changed. Sources already
+ * archived stay as they are.
+ */
+export async function mergeThroughWorkflow(targetId, sourceIds, context = {}) {
+  const transition = transitions.find((t) => t.name === MERGE_TRANSITION);
+
+  return mergeIncidents(targetId, sourceIds, {
+    ...context,
+    archiveWith(source) {
+      if (!transition.from.includes(source.status)) {
+        return {
+          ok: false,
+          error: `Incident ${source.id} cannot be merged from ${source.status}`,
+        };
+      }
+      const failures = checkGuards(source, transition, context);
+      if (failures.length > 0) {
+        return {
+          ok: false,
+          error: `Incident ${source.id} cannot be merged: ${failures
+            .map((f) => f.error)
+            .join("; ")}`,
+        };
+      }
+      return {
+        ok: true,
+        to: transition.to,
+        onTransition: (changed) => runHooks(transition, changed, context),
+      };
+    },
+  });
+}
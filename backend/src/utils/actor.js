@@ -0,0 +1,16 @@
+/**
+ * Resolves who is making a request
+ * @param {Object} req - Express request
+ * @returns {string} The actor name, or "anonymous" when none was sent
+ *
+ * Purpose: The app has no login, so the frontend sends the name the user
+ * entered in the sidebar as an X-Actor header
+ * Usage: Called by routes that record who changed something
+ */
+export function getActor(req) {
+  const raw = req.get("X-Actor");
+  if (!raw || typeof raw !== "string") return "anonymous";
+
+  const actor = raw.trim().slice(0, 100);
+  return actor || "anonymous";
+}
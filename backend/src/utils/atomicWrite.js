@@ -0,0 +1,64 @@
+import fs from "fs/promises";
+import path from "path";
+
+let tempCounter = 0;
+
+/**
+ * Writes a file so readers only ever see the old or the new contents
+ * @param {string} filePath - Destination file
+ * @param {string} data - Full file contents
+ * @returns {Promise<void>}
+ *
+ * Purpose: A crash mid-write must never leave a truncated data file behind
+ * Usage: Called by the incidents store (and backups) instead of fs.writeFile
+ *
+ * The function:
+ * 1. Writes the data to a temp file next to the destination
+ * 2. fsyncs the temp file so its contents are on disk
+ * 3. Renames it over the destination (atomic on the same filesystem)
+ * 4. fsyncs the directory so the rename itself survives a crash
+ */
+export async function writeFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${++tempCounter}.tmp`,
+  );
+
+  let handle;
+  try {
+    handle = await fs.open(tempPath, "w");
+    await handle.writeFile(data, "utf-8");
+    await handle.sync();
+  } catch (error) {
+    await handle?.close().catch(() => {});
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+  await handle.close();
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  await syncDirectory(dir);
+}
+
+/**
+ * Flushes a directory entry to disk
+ * Not every platform allows opening a directory (e.g. Windows), so failures are ignored
+ */
+async function syncDirectory(dir) {
+  let handle;
+  try {
+    handle = await fs.open(dir, "r");
+    await handle.sync();
+  } catch {
+    // Best effort only
+  } finally {
+    await handle?.close().catch(() => {});
+  }
+}
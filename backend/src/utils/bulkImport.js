@@ -0,0 +1,230 @@
+import { config } from "../../config.js";
+import { validateCreateIncident, validateImportedFields } from "./validate.js";
+import { toCsv, readCsvFile, isCsvError } from "./csv.js";
+import { readXlsxFile, isXlsxError, isXlsxUpload } from "./xlsx.js";
+
+// Incident fields a CSV import can fill, in the order they are shown to users
+export const importFields = [
+  "title",
+  "description",
+  "category",
+  "severity",
+  "status",
+  "reportedBy",
+  "location",
+  "reportedAt",
+];
+
+// Fields every file must provide a column for
+export const requiredImportFields = [
+  "title",
+  "description",
+  "category",
+  "severity",
+];
+
+// Fields whose values come from a fixed list and are matched case-insensitively
+const enumFields = {
+  category: config.incidents.categories,
+  severity: config.incidents.severities,
+  status: config.incidents.statuses,
+};
+
+const headerAliases = config.bulkUpload.headerAliases || {};
+const valueMappings = config.bulkUpload.valueMappings || {};
+
+function headerKey(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Opens an uploaded CSV file or Excel workbook for reading
+ * @param {Object} file - multer file ({ path, originalname, mimetype })
+ * @param {Object} options - { sheet } to pick a worksheet in a workbook
+ * @returns {Object} A reader: { columns, rows, ... } (see readCsvFile / readXlsxFile);
+ *   workbooks also report { sheets, sheet }
+ *
+ * Purpose: Lets every import path treat both formats the same way
+ */
+export function openImportFile(file, options = {}) {
+  return isXlsxUpload(file)
+    ? readXlsxFile(file.path, options)
+    : readCsvFile(file.path);
+}
+
+/**
+ * Reads every row of an uploaded CSV file or Excel workbook
+ * @param {Object} file - multer file ({ path, originalname, mimetype })
+ * @param {Object} options - { sheet } to pick a worksheet in a workbook
+ * @returns {Promise<Object>} { columns, rows, sheets, sheet } where each row is { row, values }
+ */
+export async function parseImportFile(file, options = {}) {
+  const reader = openImportFile(file, options);
+  const rows = [];
+  for await (const { row, values } of reader.rows) {
+    rows.push({ row, values });
+  }
+  return {
+    columns: reader.columns,
+    rows,
+    sheets: reader.sheets || null,
+    sheet: reader.sheet || null,
+  };
+}
+
+/**
+ * Tells whether an error means the uploaded file itself is unreadable
+ * (as opposed to a failure on our side), so it can be reported as a 400
+ */
+export function isUnreadableFileError(error) {
+  return isCsvError(error) || isXlsxError(error);
+}
+
+/**
+ * Works out which CSV column feeds each import field
+ * @param {Array<string>} columns - The uploaded file's header names
+ * @param {Object} requested - Optional { field: columnName } chosen by the user
+ * @returns {Object} { ok, errors, mapping, missing }
+ *
+ * Purpose: Lets files from other tools ("Summary", "Priority", ...) be imported
+ * Usage: Called by POST /api/incidents/bulk-upload before validateRow
+ *
+ * Fields not in `requested` are matched automatically: first by their own
+ * name, then by the aliases in config.bulkUpload.headerAliases, ignoring case.
+ * An empty string in `requested` deliberately leaves a field unmapped.
+ * - mapping: { field: columnName } for every field that could be matched
+ * - missing: required fields with no column, which makes every row fail validation
+ */
+export function resolveColumnMapping(columns, requested = {}) {
+  const errors = [];
+  const mapping = {};
+
+  if (!requested || typeof requested !== "object" || Array.isArray(requested)) {
+    return {
+      ok: false,
+      errors: ["mapping must be an object of { field: column }"],
+    };
+  }
+
+  for (const [field, column] of Object.entries(requested)) {
+    if (!importFields.includes(field)) {
+      errors.push(
+        `Unknown field in mapping: ${field}. Must be one of: ${importFields.join(", ")}`,
+      );
+    } else if (column !== "" && !columns.includes(column)) {
+      errors.push(`Column "${column}" mapped to ${field} is not in the file`);
+    }
+  }
+
+  if (errors.length > 0) return { ok: false, errors };
+
+  const byKey = new Map(columns.map((c) => [headerKey(c), c]));
+
+  for (const field of importFields) {
+    if (field in requested) {
+      if (requested[field] !== "") mapping[field] = requested[field];
+      continue;
+    }
+
+    const candidates = [field, ...(headerAliases[field] || [])];
+    const match = candidates.map(headerKey).find((key) => byKey.has(key));
+    if (match) mapping[field] = byKey.get(match);
+  }
+
+  return {
+    ok: true,
+    errors,
+    mapping,
+    missing: requiredImportFields.filter((f) => !(f in mapping)),
+  };
+}
+
+/**
+ * Normalizes a fixed-list value: trims it, applies the configured value
+ * mapping and matches the allowed values regardless of case
+ * Unknown values are returned trimmed so validation can report them as typed.
+ */
+function normalizeEnumValue(field, raw) {
+  if (typeof raw !== "string") return raw;
+  const text = raw.trim();
+  const upper = text.toUpperCase();
+
+  const table = valueMappings[field] || {};
+  const mappedKey = Object.keys(table).find((k) => k.toUpperCase() === upper);
+  if (mappedKey) return table[mappedKey];
+
+  const allowed = enumFields[field].find((v) => v.toUpperCase() === upper);
+  return allowed || text;
+}
+
+/**
+ * Builds an incident body from one CSV record using a column mapping
+ * @param {Object} values - The record keyed by header name
+ * @param {Object} mapping - { field: columnName } from resolveColumnMapping
+ * @returns {Object} The incident fields, undefined where a field is unmapped
+ */
+export function normalizeRow(values, mapping) {
+  const body = {};
+  for (const field of importFields) {
+    const raw = mapping[field] ? values[mapping[field]] : undefined;
+    body[field] = field in enumFields ? normalizeEnumValue(field, raw) : raw;
+  }
+  return body;
+}
+
+/**
+ * Validates one parsed CSV row for import
+ * @param {Object} record - A parsed row ({ row, values })
+ * @param {Object} mapping - { field: columnName } from resolveColumnMapping
+ * @returns {Object} { ok, accepted } or { ok, rowError }
+ *
+ * - accepted: { row, value, status, reportedAt } where value is ready for
+ *   createIncident and status/reportedAt are the imported originals (status
+ *   defaults to the initial status, reportedAt is null when the file has none)
+ * - rowError: { row, values, errors, fieldErrors }; values are the record as
+ *   uploaded, keyed by header name
+ */
+export function validateRow({ row, values }, mapping) {
+  const body = normalizeRow(values, mapping);
+  const result = validateCreateIncident(body);
+  const imported = validateImportedFields(body);
+
+  if (result.ok && imported.ok) {
+    return {
+      ok: true,
+      accepted: {
+        row,
+        value: result.value,
+        status: imported.value.status || config.incidents.initialStatus,
+        reportedAt: imported.value.reportedAt || null,
+      },
+    };
+  }
+
+  return {
+    ok: false,
+    rowError: {
+      row,
+      values,
+      errors: [...result.errors, ...imported.errors],
+      fieldErrors: { ...result.fieldErrors, ...imported.fieldErrors },
+    },
+  };
+}
+
+/**
+ * Builds a CSV of rejected rows as they were uploaded, plus an errors column
+ * @param {Array<string>} columns - The uploaded file's header names
+ * @param {Array} rowErrors - Rejected rows from validateRow
+ * @returns {string|null} CSV text, or null when nothing was rejected
+ */
+export function rejectedRowsCsv(columns, rowErrors) {
+  if (rowErrors.length === 0) return null;
+
+  return toCsv(
+    [...columns, "errors"],
+    rowErrors.map((r) => ({ ...r.values, errors: r.errors.join("; ") })),
+  );
+}
@@ -1,25 +1,197 @@
+import fs from "fs";
+import { Transform, pipeline } from "stream";
 import { parse } from "csv-parse";
 
-export function parseCsvBuffer(buffer) {
-  return new Promise((resolve, reject) => {
-    const rows = [];
+// Enough of the file to recognise its encoding and delimiter
+const SAMPLE_SIZE = 64 * 1024;
+
+// Delimiters tried when detecting, in order of preference on a tie
+const DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Creates an error in the same style as csv-parse's own (a CSV_ code)
+ * so callers can treat every "this file can't be read" failure alike
+ */
+function csvError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Tells whether an error means the upload itself could not be parsed,
+ * as opposed to a failure on our side
+ */
+export function isCsvError(error) {
+  return typeof error?.code === "string" && error.code.startsWith("CSV_");
+}
+
+/**
+ * Guesses a file's text encoding from its first bytes
+ * @param {Buffer} sample - The start of the file
+ * @returns {string} A TextDecoder label: utf-8, utf-16le, utf-16be or windows-1252
+ *
+ * A byte order mark decides it when present. Without one, UTF-16 shows up
+ * as every other byte being zero, and bytes that are not valid UTF-8 are
+ * taken to be Excel's Windows-1252 "CSV" export.
+ */
+export function detectEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return "utf-8";
+  }
+  if (sample[0] === 0xff && sample[1] === 0xfe) return "utf-16le";
+  if (sample[0] === 0xfe && sample[1] === 0xff) return "utf-16be";
+
+  const pairs = Math.floor(Math.min(sample.length, 1024) / 2);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros === 0) {
+    return "utf-16le";
+  }
+  if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros === 0) {
+    return "utf-16be";
+  }
+
+  try {
+    // stream: the sample may end part-way through a character
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return "utf-8";
+  } catch {
+    return "windows-1252";
+  }
+}
+
+/**
+ * Picks the delimiter used on the header line
+ * @param {string} text - The start of the decoded file
+ * @returns {string} Comma, semicolon or tab
+ */
+export function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map((d) => [d, 0]));
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === "\n" || char === "\r")) break;
+    else if (!quoted && counts.has(char))
+      counts.set(char, counts.get(char) + 1);
+  }
+
+  let best = DELIMITERS[0];
+  for (const delimiter of DELIMITERS) {
+    if (counts.get(delimiter) > counts.get(best)) best = delimiter;
+  }
+  return best;
+}
+
+async function readSample(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Streams the records of a CSV file without loading it into memory
+ * @param {string} filePath - Path of the uploaded file
+ * @returns {Object} { columns, encoding, delimiter, rows } - rows is an async
+ *   iterable of { row, values, progress }; the other fields fill in as it starts
+ *
+ * Handles UTF-8 (with or without a BOM), UTF-16 and Windows-1252 files,
+ * comma, semicolon or tab delimiters, and quoted values spanning several
+ * lines. Blank lines are skipped and short rows simply lack the missing
+ * values, so validation can report them per row.
+ *
+ * `row` is the record's row number as a spreadsheet shows it (the header is
+ * row 1). `progress` is the share of the file read so far, from 0 to 1.
+ * A file that cannot be parsed makes iteration throw an error for which
+ * isCsvError() is true.
+ */
+export function readCsvFile(filePath) {
+  const reader = { columns: [], encoding: null, delimiter: null, rows: null };
+
+  reader.rows = (async function* () {
+    const sample = await readSample(filePath);
+    const { size } = await fs.promises.stat(filePath);
+    reader.encoding = detectEncoding(sample);
+
+    const text = new TextDecoder(reader.encoding).decode(sample, {
+      stream: true,
+    });
+    if (text.includes("\u0000")) {
+      throw csvError(
+        "CSV_INVALID_ENCODING",
+        "The file does not look like text; save it as CSV and try again",
+      );
+    }
+    reader.delimiter = detectDelimiter(text);
 
     const parser = parse({
-      columns: true,
-      trim: true
+      columns: (header) => {
+        reader.columns = header;
+        return header;
+      },
+      delimiter: reader.delimiter,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      info: true,
     });
 
-    parser.on("readable", () => {
-      let record;
-      while ((record = parser.read()) !== null) {
-        rows.push(record);
-      }
+    // Decodes to UTF-8 for the parser (dropping any BOM) and counts bytes read
+    const decoder = new TextDecoder(reader.encoding);
+    let bytesRead = 0;
+    const decode = new Transform({
+      transform(chunk, encoding, cb) {
+        bytesRead += chunk.length;
+        cb(null, decoder.decode(chunk, { stream: true }));
+      },
+      flush(cb) {
+        cb(null, decoder.decode());
+      },
     });
 
-    parser.on("error", reject);
-    parser.on("end", () => resolve(rows));
+    // pipeline() destroys the parser on a read error, which ends iteration
+    pipeline(fs.createReadStream(filePath), decode, parser, () => {});
+
+    for await (const entry of parser) {
+      yield {
+        row: entry.info.records + entry.info.empty_lines + 1,
+        values: entry.record,
+        progress: size > 0 ? bytesRead / size : 1,
+      };
+    }
+  })();
+
+  return reader;
+}
+
+/**
+ * Quotes a single CSV field when it contains a delimiter, quote or newline
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    parser.write(buffer);
-    parser.end();
-  });
+/**
+ * Builds CSV text from objects
+ * @param {Array<string>} columns - Header names, also used as the keys to read
+ * @param {Array<Object>} rows - One object per line
+ * @returns {string} CSV text with a header line
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(csvField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvField(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
 }
@@ -0,0 +1,56 @@
+/**
+ * Optimistic concurrency helpers
+ * Each incident carries a `version` that increases on every change to it.
+ * It is sent to clients as an ETag, and mutating routes honor If-Match.
+ */
+
+/**
+ * Gets an incident's version
+ * Incidents stored before versioning was added count as version 1
+ */
+export function versionOf(incident) {
+  return incident.version || 1;
+}
+
+/**
+ * Builds the ETag header value for an incident
+ * @param {Object} incident - The incident
+ * @returns {string} A strong ETag such as "3"
+ */
+export function etagFor(incident) {
+  return `"${versionOf(incident)}"`;
+}
+
+/**
+ * Checks a request's If-Match header against an incident
+ * @param {Object} req - Express request
+ * @param {Object} incident - The incident about to be changed
+ * @returns {boolean} True if the request may proceed
+ *
+ * Requests without If-Match are allowed, so older clients keep working.
+ * Both strong ("3") and weak (W/"3") forms, lists, and * are accepted.
+ */
+export function ifMatchPasses(req, incident) {
+  const header = req.get("If-Match");
+  if (!header) return true;
+  if (header.trim() === "*") return true;
+
+  const current = etagFor(incident);
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .includes(current);
+}
+
+/**
+ * Sends the 412 response for a failed If-Match check
+ * The current incident is included so the client can show what changed
+ */
+export function sendPreconditionFailed(res, incident) {
+  res.set("ETag", etagFor(incident));
+  return res.status(412).json({
+    error:
+      "This incident was changed by someone else. Reload it and try again.",
+    current: incident,
+  });
+}
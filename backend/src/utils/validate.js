@@ -3,10 +3,80 @@ import { config } from "../../config.js";
 export const categories = config.incidents.categories;
 export const severities = config.incidents.severities;
 
+/**
+ * Checks a single text field against its configured length limits
+ * Returns an error message, or null when the value is acceptable
+ * Surrounding whitespace is not counted, as in the frontend's checkIncidentFields
+ */
+function checkText(value, label, limits) {
+  if (typeof value !== "string" || !value.trim()) {
+    return `${label} is required`;
+  }
+  const { length } = value.trim();
+  if (length < limits.minLength) {
+    return `${label} must be at least ${limits.minLength} characters`;
+  }
+  if (length > limits.maxLength) {
+    return `${label} must not exceed ${limits.maxLength} characters`;
+  }
+  return null;
+}
+
+/**
+ * Checks an optional text field against its maximum length
+ * Missing and empty values are accepted
+ */
+function checkOptionalText(value, label, limits) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") {
+    return `${label} must be a string`;
+  }
+  if (value.trim().length > limits.maxLength) {
+    return `${label} must not exceed ${limits.maxLength} characters`;
+  }
+  return null;
+}
+
+/**
+ * Per-field rules shared by incident creation and editing
+ * Each check returns an error message, or null when the value is valid
+ */
+const fieldChecks = {
+  title: (value) => checkText(value, "Title", config.validation.title),
+  description: (value) =>
+    checkText(value, "Description", config.validation.description),
+  category: (value) =>
+    categories.includes(value)
+      ? null
+      : `Invalid category. Must be one of: ${categories.join(", ")}`,
+  severity: (value) =>
+    severities.includes(value)
+      ? null
+      : `Invalid severity. Must be one of: ${severities.join(", ")}`,
+  reportedBy: (value) =>
+    checkOptionalText(value, "Reported by", config.validation.reportedBy),
+  location: (value) =>
+    checkOptionalText(value, "Location", config.validation.location),
+};
+
+export const editableFields = Object.keys(fieldChecks);
+
+// Free-text fields are stored trimmed; blank optional ones are stored as null
+const requiredTextFields = ["title", "description"];
+const optionalFields = ["reportedBy", "location"];
+
+function cleanValue(field, value) {
+  if (requiredTextFields.includes(field)) {
+    return typeof value === "string" ? value.trim() : value;
+  }
+  if (!optionalFields.includes(field)) return value;
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
 /**
  * Validates incident creation data
  * @param {Object} body - The request body containing incident data
- * @returns {Object} Validation result with ok, errors, and value properties
+ * @returns {Object} Validation result with ok, errors, fieldErrors, and value properties
  *
  * Purpose: Ensures that incident data meets all validation requirements before creation
  * Usage: Called before creating a new incident in the routes
@@ -16,134 +86,414 @@ export const severities = config.incidents.severities;
  * - Description: must exist and meet minimum/maximum length requirements
  * - Category: must be one of the allowed categories from config
  * - Severity: must be one of the allowed severities from config
+ * - Reported by, Location: optional, within their maximum lengths
  *
  * Returns an object with:
  * - ok: boolean indicating if validation passed
  * - errors: array of error messages (empty if ok is true)
+ * - fieldErrors: the same messages keyed by field name
  * - value: sanitized/validated data object
  */
 export function validateCreateIncident(body) {
-  const errors = [];
+  const fieldErrors = {};
 
-  if (!body.title || typeof body.title !== "string") {
-    errors.push("Title is required");
-  } else if (body.title.length < config.validation.title.minLength) {
-    errors.push(
-      `Title must be at least ${config.validation.title.minLength} characters`,
-    );
-  } else if (body.title.length > config.validation.title.maxLength) {
-    errors.push(
-      `Title must not exceed ${config.validation.title.maxLength} characters`,
-    );
+  for (const field of editableFields) {
+    const error = fieldChecks[field](body[field]);
+    if (error) fieldErrors[field] = error;
   }
 
-  if (!body.description || typeof body.description !== "string") {
-    errors.push("Description is required");
-  } else if (
-    body.description.length < config.validation.description.minLength
-  ) {
-    errors.push(
-      `Description must be at least ${config.validation.description.minLength} characters`,
-    );
-  } else if (
-    body.description.length > config.validation.description.maxLength
-  ) {
-    errors.push(
-      `Description must not exceed ${config.validation.description.maxLength} characters`,
-    );
-  }
-
-  if (!categories.includes(body.category)) {
-    errors.push(`Invalid category. Must be one of: ${categories.join(", ")}`);
-  }
-
-  if (!severities.includes(body.severity)) {
-    errors.push(`Invalid severity. Must be one of: ${severities.join(", ")}`);
-  }
+  const errors = Object.values(fieldErrors);
 
   return {
     ok: errors.length === 0,
     errors,
+    fieldErrors,
     value: {
-      title: body.title,
-      description: body.description,
+      title: cleanValue("title", body.title),
+      description: cleanValue("description", body.description),
       category: body.category,
       severity: body.severity,
+      reportedBy: cleanValue("reportedBy", body.reportedBy),
+      location: cleanValue("location", body.location),
     },
   };
 }
 
 /**
- * Validates a status transition
- * @param {string} current - The current status of the incident
- * @param {string} next - The requested new status
- * @returns {Object} Validation result with ok, error, and next properties
+ * Validates a partial edit of an incident
+ * @param {Object} body - The request body with the fields to change
+ * @returns {Object} Validation result with ok, errors, fieldErrors, and value properties
  *
- * Purpose: Ensures status changes follow the allowed workflow transitions
- * Usage: Called before updating an incident's status
+ * Purpose: Applies the same rules as validateCreateIncident to just the fields sent
+ * Usage: Called by PATCH /api/incidents/:id before editing an incident
  *
- * The function:
- * 1. Looks up allowed transitions for the current status in config
- * 2. Checks if the requested next status is allowed
- * 3. Returns validation result
+ * Only title, description, category, severity, reportedBy and location may be
+ * edited; status has its own endpoint. At least one editable field must be present.
+ */
+export function validateUpdateIncident(body) {
+  const fieldErrors = {};
+  const value = {};
+
+  const unknown = Object.keys(body).filter((k) => !editableFields.includes(k));
+  if (unknown.length > 0) {
+    fieldErrors._unknown = `Cannot edit: ${unknown.join(", ")}. Editable fields: ${editableFields.join(", ")}`;
+  }
+
+  for (const field of editableFields) {
+    if (body[field] === undefined) continue;
+    const error = fieldChecks[field](body[field]);
+    if (error) {
+      fieldErrors[field] = error;
+    } else {
+      value[field] = cleanValue(field, body[field]);
+    }
+  }
+
+  if (Object.keys(body).length === 0) {
+    fieldErrors._empty = "No fields to update";
+  }
+
+  const errors = Object.values(fieldErrors);
+
+  return { ok: errors.length === 0, errors, fieldErrors, value };
+}
+
+/**
+ * Validates the fields only an import of historical incidents may set
+ * @param {Object} body - The imported record ({ status, reportedAt })
+ * @returns {Object} Validation result with ok, errors, fieldErrors, and value properties
+ *
+ * Purpose: Lets migrated incidents keep their original status and report date
+ * Usage: Called by the CSV import alongside validateCreateIncident
  *
- * Status transition rules (from config):
- * - OPEN → INVESTIGATING, ARCHIVED
- * - INVESTIGATING → RESOLVED
- * - RESOLVED → ARCHIVED
- * - ARCHIVED → OPEN
+ * Both fields are optional: a missing status means the initial status and a
+ * missing reportedAt means now. A reportedAt in the future is rejected.
  */
-export function validateStatusChange(current, next) {
-  const transitions = config.incidents.statusTransitions;
+export function validateImportedFields(body) {
+  const fieldErrors = {};
+  const value = {};
 
-  // Check if current status exists in transitions
-  if (!transitions[current]) {
-    return { ok: false, error: `Invalid current status: ${current}` };
+  if (body.status !== undefined && body.status !== "") {
+    if (!config.incidents.statuses.includes(body.status)) {
+      fieldErrors.status = `Invalid status. Must be one of: ${config.incidents.statuses.join(", ")}`;
+    } else {
+      value.status = body.status;
+    }
   }
 
-  // Check if next status is allowed from current status
-  if (!transitions[current].includes(next)) {
-    return {
-      ok: false,
-      error: `Invalid status transition from ${current} to ${next}. Allowed: ${transitions[current].join(", ")}`,
-    };
+  if (body.reportedAt !== undefined && body.reportedAt !== "") {
+    const time = Date.parse(body.reportedAt);
+    if (Number.isNaN(time)) {
+      fieldErrors.reportedAt = "reportedAt must be a valid date";
+    } else if (time > Date.now()) {
+      fieldErrors.reportedAt = "reportedAt cannot be in the future";
+    } else {
+      value.reportedAt = new Date(time).toISOString();
+    }
   }
 
-  return { ok: true, next };
+  const errors = Object.values(fieldErrors);
+
+  return { ok: errors.length === 0, errors, fieldErrors, value };
 }
 
 /**
- * Validates if an incident can be archived
- * @param {string} currentStatus - The current status of the incident
- * @returns {Object} Validation result with ok and error properties
+ * Validates the optional reason given for a status change
+ * @param {*} reason - The reason from the request body
+ * @returns {Object} Validation result with ok, error, and reason properties
  *
- * Purpose: Ensures only OPEN or RESOLVED incidents can be archived
- * Usage: Called before archiving an incident
+ * Purpose: Keeps free-text reasons in the history trail to a sane length
+ * Usage: Called by the status, archive and reset routes
  */
-export function validateArchive(currentStatus) {
-  if (currentStatus !== "OPEN" && currentStatus !== "RESOLVED") {
+export function validateReason(reason) {
+  if (reason === undefined || reason === null || reason === "") {
+    return { ok: true, reason: null };
+  }
+  if (typeof reason !== "string") {
+    return { ok: false, error: "Reason must be a string" };
+  }
+  if (reason.trim().length > config.validation.reason.maxLength) {
     return {
       ok: false,
-      error: "Only incidents in OPEN or RESOLVED status can be archived",
+      error: `Reason must not exceed ${config.validation.reason.maxLength} characters`,
     };
   }
-  return { ok: true };
+  return { ok: true, reason: reason.trim() || null };
 }
 
 /**
- * Validates if an archived incident can be reset
- * @param {string} currentStatus - The current status of the incident
- * @returns {Object} Validation result with ok and error properties
+ * Validates the body of a comment
+ * @param {Object} body - The request body containing the comment text
+ * @returns {Object} Validation result with ok, errors, and value properties
  *
- * Purpose: Ensures only ARCHIVED incidents can be reset to OPEN
- * Usage: Called before resetting an incident
+ * Purpose: Ensures comments are non-empty and within the configured length
+ * Usage: Called before creating or editing a comment
  */
-export function validateReset(currentStatus) {
-  if (currentStatus !== "ARCHIVED") {
+export function validateComment(body) {
+  const text = typeof body.body === "string" ? body.body.trim() : "";
+  const error = checkText(text, "Comment", config.validation.comment);
+
+  return {
+    ok: !error,
+    errors: error ? [error] : [],
+    value: { body: text },
+  };
+}
+
+/**
+ * Validates a request to merge incidents into another
+ * @param {Object} body - The request body ({ sourceIds, reason, versions });
+ *   versions optionally maps source IDs to the version the client last saw
+ * @param {string} targetId - The UUID of the incident being merged into
+ * @returns {Object} Validation result with ok, errors, and value properties
+ *
+ * Purpose: Ensures a merge names at least one other incident, each once
+ * Usage: Called by POST /api/incidents/:id/merge endpoint
+ */
+export function validateMerge(body, targetId) {
+  const errors = [];
+  const { sourceIds } = body;
+
+  if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+    errors.push("sourceIds must be a non-empty array of incident IDs");
+  } else {
+    if (sourceIds.some((id) => typeof id !== "string" || id.trim() === "")) {
+      errors.push("Every entry in sourceIds must be an incident ID");
+    }
+    if (sourceIds.includes(targetId)) {
+      errors.push("An incident cannot be merged into itself");
+    }
+    if (new Set(sourceIds).size !== sourceIds.length) {
+      errors.push("sourceIds must not repeat an incident");
+    }
+  }
+
+  const versions = body.versions ?? {};
+  if (
+    typeof versions !== "object" ||
+    Array.isArray(versions) ||
+    Object.values(versions).some((v) => !Number.isInteger(v) || v < 1)
+  ) {
+    errors.push("versions must map incident IDs to positive whole numbers");
+  } else if (
+    Array.isArray(sourceIds) &&
+    Object.keys(versions).some((id) => !sourceIds.includes(id))
+  ) {
+    errors.push("versions may only name incidents listed in sourceIds");
+  }
+
+  const reason = validateReason(body.reason);
+  if (!reason.ok) errors.push(reason.error);
+
+  if (errors.length > 0) return { ok: false, errors };
+  return {
+    ok: true,
+    errors,
+    value: {
+      sourceIds: sourceIds.map((id) => id.trim()),
+      reason: reason.reason,
+      versions,
+    },
+  };
+}
+
+/**
+ * Validates a new link between two incidents
+ * @param {Object} body - The request body ({ type, incidentId })
+ * @param {string} id - The UUID of the incident being linked from
+ * @returns {Object} Validation result with ok, errors, and value properties
+ *
+ * Purpose: Ensures the link type is known and points at another incident
+ * Usage: Called by POST /api/incidents/:id/links endpoint
+ */
+export function validateLink(body, id) {
+  const errors = [];
+  const types = Object.keys(config.incidents.linkTypes);
+  const incidentId =
+    typeof body.incidentId === "string" ? body.incidentId.trim() : "";
+
+  if (!types.includes(body.type)) {
+    errors.push(`Invalid link type. Must be one of: ${types.join(", ")}`);
+  }
+  if (!incidentId) {
+    errors.push("incidentId is required");
+  } else if (incidentId === id) {
+    errors.push("An incident cannot be linked to itself");
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    value: { type: body.type, incidentId },
+  };
+}
+
+/**
+ * Splits a comma-separated query value into a list of upper-cased entries
+ * Accepts repeated parameters (?status=OPEN&status=RESOLVED) as well
+ */
+function parseListParam(value) {
+  if (value === undefined || value === "") return [];
+  const raw = Array.isArray(value) ? value.join(",") : String(value);
+  return raw
+    .split(",")
+    .map((x) => x.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+// List query parameters that take a single value
+const singleValueParams = [
+  "reportedFrom",
+  "reportedTo",
+  "sort",
+  "order",
+  "page",
+  "limit",
+  "includeArchived",
+];
+
+/**
+ * Validates the query string for listing incidents
+ * @param {Object} query - The request query object
+ * @returns {Object} Validation result with ok, errors, and value properties
+ *
+ * Purpose: Turns raw query parameters into filter, sort and paging options
+ * Usage: Called by GET /api/incidents before querying the store
+ *
+ * Supported parameters:
+ * - status, category, severity: comma-separated lists of allowed values
+ * - reportedFrom, reportedTo: ISO dates bounding reportedAt (inclusive)
+ * - includeArchived: "true" to include ARCHIVED when no status filter is given
+ * - sort: one of config.pagination.sortableFields, order: asc | desc
+ * - page (1-based) and limit (capped at config.pagination.maxLimit)
+ */
+export function validateListQuery(query = {}) {
+  const errors = [];
+  const { defaultLimit, maxLimit, sortableFields } = config.pagination;
+
+  // Only the list filters may repeat; ?order=asc&order=desc arrives as an array
+  const repeated = singleValueParams.filter(
+    (name) => query[name] !== undefined && typeof query[name] !== "string",
+  );
+  if (repeated.length > 0) {
     return {
       ok: false,
-      error: "Only archived incidents can be reset to OPEN status",
+      errors: repeated.map((name) => `${name} must be a single value`),
     };
   }
-  return { ok: true };
+
+  const statuses = parseListParam(query.status);
+  const badStatuses = statuses.filter(
+    (s) => !config.incidents.statuses.includes(s),
+  );
+  if (badStatuses.length > 0) {
+    errors.push(
+      `Invalid status filter: ${badStatuses.join(", ")}. Must be one of: ${config.incidents.statuses.join(", ")}`,
+    );
+  }
+
+  const categoryFilter = parseListParam(query.category);
+  const badCategories = categoryFilter.filter((c) => !categories.includes(c));
+  if (badCategories.length > 0) {
+    errors.push(
+      `Invalid category filter: ${badCategories.join(", ")}. Must be one of: ${categories.join(", ")}`,
+    );
+  }
+
+  const severityFilter = parseListParam(query.severity);
+  const badSeverities = severityFilter.filter((s) => !severities.includes(s));
+  if (badSeverities.length > 0) {
+    errors.push(
+      `Invalid severity filter: ${badSeverities.join(", ")}. Must be one of: ${severities.join(", ")}`,
+    );
+  }
+
+  let reportedFrom = query.reportedFrom || null;
+  if (reportedFrom && Number.isNaN(Date.parse(reportedFrom))) {
+    errors.push("reportedFrom must be a valid date");
+    reportedFrom = null;
+  }
+
+  // A bare date as the upper bound should cover that whole day
+  let reportedTo = query.reportedTo || null;
+  if (reportedTo && /^\d{4}-\d{2}-\d{2}$/.test(reportedTo)) {
+    reportedTo = `${reportedTo}T23:59:59.999Z`;
+  }
+  if (reportedTo && Number.isNaN(Date.parse(reportedTo))) {
+    errors.push("reportedTo must be a valid date");
+    reportedTo = null;
+  }
+
+  const sort = query.sort || "reportedAt";
+  if (!sortableFields.includes(sort)) {
+    errors.push(
+      `Invalid sort field. Must be one of: ${sortableFields.join(", ")}`,
+    );
+  }
+
+  const order = (query.order || "desc").toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    errors.push("Order must be asc or desc");
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push("Page must be a positive integer");
+  }
+
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    errors.push(`Limit must be an integer between 1 and ${maxLimit}`);
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    value: {
+      includeArchived: query.includeArchived === "true",
+      statuses,
+      categories: categoryFilter,
+      severities: severityFilter,
+      // Normalized to ISO so storage backends can compare them as strings
+      reportedFrom: reportedFrom && new Date(reportedFrom).toISOString(),
+      reportedTo: reportedTo && new Date(reportedTo).toISOString(),
+      sort,
+      order,
+      page,
+      limit,
+    },
+  };
+}
+
+/**
+ * Validates the query string for full-text search
+ * @param {Object} query - The request query object
+ * @returns {Object} Validation result with ok, errors, and value properties
+ *
+ * Purpose: Ensures a usable search term and a sane result limit
+ * Usage: Called by GET /api/incidents/search before searching the store
+ */
+export function validateSearchQuery(query = {}) {
+  const errors = [];
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+
+  if (q.length === 0) {
+    errors.push("Search query (q) is required");
+  }
+
+  const { defaultLimit, maxLimit } = config.pagination;
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    errors.push(`Limit must be an integer between 1 and ${maxLimit}`);
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    value: {
+      q,
+      limit,
+      includeArchived: query.includeArchived === "true",
+    },
+  };
 }
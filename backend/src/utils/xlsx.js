@@ -0,0 +1,146 @@
+import path from "path";
+import ExcelJS from "exceljs";
+
+export const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * Creates an error for a workbook that cannot be imported
+ * The XLSX_ code mirrors csv-parse's CSV_ codes (see isXlsxError)
+ */
+function xlsxError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Tells whether an error means the uploaded workbook could not be read
+ */
+export function isXlsxError(error) {
+  return typeof error?.code === "string" && error.code.startsWith("XLSX_");
+}
+
+/**
+ * Tells whether an uploaded file is an Excel workbook
+ * @param {Object} file - multer file ({ originalname, mimetype })
+ */
+export function isXlsxUpload(file) {
+  return (
+    file.mimetype === XLSX_MIME_TYPE ||
+    path.extname(file.originalname || "").toLowerCase() === ".xlsx"
+  );
+}
+
+/**
+ * Turns an ExcelJS cell value into the text a CSV cell would hold
+ * Dates become ISO strings; formulas give their last calculated result.
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join("");
+    }
+    if ("result" in value) return cellText(value.result);
+    if ("text" in value) return cellText(value.text);
+    if ("error" in value) return "";
+  }
+  return String(value).trim();
+}
+
+/**
+ * Reads the rows of one worksheet in an .xlsx workbook
+ * @param {string} filePath - Path of the uploaded file
+ * @param {Object} options - { sheet } name or 1-based position; defaults to the first sheet
+ * @returns {Object} { columns, sheets, sheet, rows } shaped like readCsvFile's
+ *   reader, so workbooks go through the same import pipeline as CSV files
+ *
+ * The first non-empty row is the header. Blank rows are skipped and `row`
+ * is the row number shown in Excel. The workbook is parsed locally; files
+ * are capped by config.bulkUpload.maxFileSize, so it is read in one go.
+ * An unreadable workbook or unknown sheet makes iteration throw an error
+ * for which isXlsxError() is true.
+ */
+export function readXlsxFile(filePath, options = {}) {
+  const reader = { columns: [], sheets: [], sheet: null, rows: null };
+
+  reader.rows = (async function* () {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.readFile(filePath);
+    } catch (error) {
+      throw xlsxError(
+        "XLSX_INVALID",
+        `The file could not be read as an Excel workbook: ${error.message}`,
+      );
+    }
+
+    reader.sheets = workbook.worksheets.map((ws) => ws.name);
+
+    const wanted = options.sheet;
+    let worksheet;
+    if (wanted === undefined || wanted === null || wanted === "") {
+      worksheet = workbook.worksheets[0];
+    } else if (/^\d+$/.test(String(wanted))) {
+      worksheet = workbook.worksheets[Number(wanted) - 1];
+    } else {
+      worksheet = workbook.worksheets.find((ws) => ws.name === wanted);
+    }
+
+    if (!worksheet) {
+      throw xlsxError(
+        "XLSX_SHEET_NOT_FOUND",
+        wanted
+          ? `Sheet "${wanted}" not found. Sheets: ${reader.sheets.join(", ")}`
+          : "The workbook has no sheets",
+      );
+    }
+    reader.sheet = worksheet.name;
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      // row.values is 1-based: index 0 is always empty
+      const cells = row.values.slice(1).map(cellText);
+      if (cells.some((c) => c !== "")) rows.push({ rowNumber, cells });
+    });
+
+    for (const [index, { rowNumber, cells }] of rows.entries()) {
+      if (reader.columns.length === 0) {
+        reader.columns = cells;
+        continue;
+      }
+
+      const values = {};
+      reader.columns.forEach((column, i) => {
+        if (column) values[column] = cells[i] ?? "";
+      });
+      yield { row: rowNumber, values, progress: (index + 1) / rows.length };
+    }
+  })();
+
+  return reader;
+}
+
+/**
+ * Builds an .xlsx workbook with one sheet
+ * @param {string} sheetName - Name of the worksheet
+ * @param {Array<Object>} columns - [{ header, key, width }] in display order
+ * @param {Array<Object>} rows - One object per row, read by column key
+ * @returns {Promise<Buffer>} The workbook file contents
+ */
+export async function toXlsx(sheetName, columns, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  for (const row of rows) {
+    worksheet.addRow(row);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
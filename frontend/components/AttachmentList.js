@@ -0,0 +1,129 @@
+import { useEffect, useState } from "react";
+import {
+  attachmentUrl,
+  deleteAttachment,
+  listAttachments,
+  uploadAttachment,
+} from "../services/api";
+import { useMeta } from "../services/meta";
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * AttachmentList Component
+ *
+ * Purpose: Lists, downloads, uploads and deletes files attached to an incident
+ * @param {string} incidentId - The incident the files belong to
+ * @param {Function} onError - Receives error messages for the page's banner
+ * @param {number} version - The incident version being viewed, sent as If-Match with changes
+ * @param {Function} onChange - Called after any change, so the page can refresh the incident
+ */
+export default function AttachmentList({
+  incidentId,
+  version,
+  onError,
+  onChange,
+}) {
+  const [attachments, setAttachments] = useState([]);
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [inputKey, setInputKey] = useState(0);
+  const { meta } = useMeta();
+
+  async function load() {
+    try {
+      const data = await listAttachments(incidentId);
+      setAttachments(Array.isArray(data) ? data : []);
+    } catch (e) {
+      onError(e.message);
+    }
+  }
+
+  useEffect(() => {
+    if (incidentId) load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [incidentId]);
+
+  async function onUpload() {
+    if (!file) return;
+    const maxSize = meta?.attachments.maxFileSize;
+    if (maxSize && file.size > maxSize) {
+      onError(`File is too large (max ${formatSize(maxSize)})`);
+      return;
+    }
+    try {
+      setUploading(true);
+      const created = await uploadAttachment(incidentId, file, version);
+      setAttachments((list) => [...list, created]);
+      onChange?.();
+      setFile(null);
+      // Remount the file input so it clears its selection
+      setInputKey((k) => k + 1);
+    } catch (e) {
+      onError(e.message);
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  async function onDelete(attachmentId) {
+    if (!window.confirm("Delete this attachment?")) return;
+    try {
+      await deleteAttachment(incidentId, attachmentId, version);
+      setAttachments((list) => list.filter((a) => a.id !== attachmentId));
+      onChange?.();
+    } catch (e) {
+      onError(e.message);
+    }
+  }
+
+  return (
+    <div className="section">
+      <div className="section-title">Attachments ({attachments.length})</div>
+
+      {attachments.length === 0 ? (
+        <div className="muted">No files attached.</div>
+      ) : (
+        <ul className="attachments">
+          {attachments.map((a) => (
+            <li key={a.id}>
+              <a className="link" href={attachmentUrl(incidentId, a.id)}>
+                {a.name}
+              </a>{" "}
+              <span className="muted">
+                {formatSize(a.size)} · {a.uploadedBy} ·{" "}
+                {(a.uploadedAt || "").slice(0, 10)}
+              </span>{" "}
+              <button
+                className="btn btn-secondary"
+                onClick={() => onDelete(a.id)}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="row">
+        <input
+          key={inputKey}
+          type="file"
+          accept={meta?.attachments.allowedMimeTypes.join(",")}
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+        />
+        <button
+          className="btn"
+          onClick={onUpload}
+          disabled={!file || uploading}
+        >
+          {uploading ? "Uploading..." : "Attach"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+import { useEffect, useState } from "react";
+import {
+  addComment,
+  deleteComment,
+  listComments,
+  updateComment,
+} from "../services/api";
+import { getActor } from "../services/actor";
+import { useMeta } from "../services/meta";
+
+/**
+ * CommentThread Component
+ *
+ * Purpose: Discussion and working notes for one incident
+ * @param {string} incidentId - The incident the comments belong to
+ * @param {Function} onError - Receives error messages for the page's banner
+ * @param {number} version - The incident version being viewed, sent as If-Match with changes
+ * @param {Function} onChange - Called after any change, so the page can refresh the incident
+ *
+ * Only the author (the name entered in the sidebar) can edit or delete a comment.
+ */
+export default function CommentThread({
+  incidentId,
+  version,
+  onError,
+  onChange,
+}) {
+  const [comments, setComments] = useState([]);
+  const [text, setText] = useState("");
+  const [posting, setPosting] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [me, setMe] = useState("");
+  const { meta } = useMeta();
+  const maxLength = meta?.validation.comment.maxLength;
+
+  async function load() {
+    try {
+      const data = await listComments(incidentId);
+      setComments(Array.isArray(data) ? data : []);
+    } catch (e) {
+      onError(e.message);
+    }
+  }
+
+  useEffect(() => {
+    if (!incidentId) return;
+    setMe(getActor() || "anonymous");
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [incidentId]);
+
+  async function onPost(e) {
+    e.preventDefault();
+    if (!text.trim()) return;
+    try {
+      setPosting(true);
+      const created = await addComment(incidentId, text.trim(), version);
+      setComments((list) => [...list, created]);
+      onChange?.();
+      setText("");
+    } catch (e2) {
+      onError(e2.message);
+    } finally {
+      setPosting(false);
+    }
+  }
+
+  async function onSaveEdit(commentId) {
+    if (!editText.trim()) return;
+    try {
+      const updated = await updateComment(
+        incidentId,
+        commentId,
+        editText.trim(),
+        version,
+      );
+      setComments((list) =>
+        list.map((c) => (c.id === commentId ? updated : c)),
+      );
+      onChange?.();
+      setEditingId(null);
+    } catch (e) {
+      onError(e.message);
+    }
+  }
+
+  async function onDelete(commentId) {
+    if (!window.confirm("Delete this comment?")) return;
+    try {
+      await deleteComment(incidentId, commentId, version);
+      setComments((list) => list.filter((c) => c.id !== commentId));
+      onChange?.();
+    } catch (e) {
+      onError(e.message);
+    }
+  }
+
+  return (
+    <div className="section">
+      <div className="section-title">Discussion ({comments.length})</div>
+
+      {comments.length === 0 && <div className="muted">No comments yet.</div>}
+
+      {comments.map((c) => (
+        <div key={c.id} className="card">
+          <div className="card-meta">
+            <strong>{c.author}</strong>
+            <span className="muted">
+              {(c.createdAt || "").slice(0, 19).replace("T", " ")}
+              {c.updatedAt !== c.createdAt ? " (edited)" : ""}
+            </span>
+          </div>
+
+          {editingId === c.id ? (
+            <>
+              <textarea
+                className="textarea"
+                value={editText}
+                maxLength={maxLength}
+                onChange={(e) => setEditText(e.target.value)}
+              />
+              <div className="row">
+                <button className="btn" onClick={() => onSaveEdit(c.id)}>
+                  Save
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setEditingId(null)}
+                >
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="comment-body">{c.body}</div>
+          )}
+
+          {me !== "anonymous" && c.author === me && editingId !== c.id && (
+            <div className="row">
+              <button
+                className="btn btn-secondary"
+                onClick={() => {
+                  setEditingId(c.id);
+                  setEditText(c.body);
+                }}
+              >
+                Edit
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => onDelete(c.id)}
+              >
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      <form onSubmit={onPost}>
+        <textarea
+          className="textarea"
+          placeholder="Add a note or comment..."
+          value={text}
+          maxLength={maxLength}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <div className="row">
+          <button
+            className="btn"
+            type="submit"
+            disabled={!text.trim() || posting}
+          >
+            {posting ? "Posting..." : "Post comment"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
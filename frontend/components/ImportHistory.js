@@ -0,0 +1,124 @@
+import { useEffect, useState } from "react";
+import { listImports, rollbackImport } from "../services/api";
+
+/**
+ * ImportHistory Component
+ *
+ * Purpose: Lists past bulk uploads and lets a bad one be rolled back
+ * @param {*} refreshKey - Reloads the list whenever it changes (e.g. after an import finishes)
+ * @param {Function} onError - Receives error messages for the page's banner
+ *
+ * Rolling back deletes every incident the import created. If some of them
+ * were changed since, the backend refuses and the user is asked to confirm.
+ */
+export default function ImportHistory({ refreshKey, onError }) {
+  const [batches, setBatches] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  async function load() {
+    try {
+      const data = await listImports();
+      setBatches(Array.isArray(data) ? data : []);
+    } catch (e) {
+      onError(e.message);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [refreshKey]);
+
+  async function onRollback(batch) {
+    const ok = window.confirm(
+      `Delete the ${batch.created} incident(s) created by ${batch.fileName}?`,
+    );
+    if (!ok) return;
+
+    try {
+      setBusyId(batch.id);
+      try {
+        await rollbackImport(batch.id);
+      } catch (e) {
+        if (e.status !== 409 || !e.body?.modified?.length) throw e;
+        const force = window.confirm(
+          `${e.body.modified.length} of these incident(s) have been changed since the import. Delete them anyway?`,
+        );
+        if (!force) return;
+        await rollbackImport(batch.id, true);
+      }
+      await load();
+    } catch (e) {
+      onError(e.message);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <div className="table-wrap">
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Uploaded</th>
+            <th>File</th>
+            <th>By</th>
+            <th>Created</th>
+            <th>Skipped</th>
+            <th>Status</th>
+            <th>Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {batches.length === 0 ? (
+            <tr>
+              <td colSpan="7" className="muted">
+                No imports yet
+              </td>
+            </tr>
+          ) : (
+            batches.map((b) => (
+              <tr key={b.id}>
+                <td className="mono">
+                  {(b.uploadedAt || "").slice(0, 19).replace("T", " ")}
+                </td>
+                <td>{b.fileName}</td>
+                <td>{b.uploadedBy}</td>
+                <td>{b.created}</td>
+                <td>{b.failed}</td>
+                <td>
+                  {b.rolledBackAt ? (
+                    <span
+                      className="tag tag-muted"
+                      title={`by ${b.rolledBackBy}`}
+                    >
+                      ROLLED BACK
+                    </span>
+                  ) : (
+                    <span
+                      className={`tag ${b.status === "failed" ? "tag-danger" : ""}`}
+                      title={b.error || ""}
+                    >
+                      {b.status.toUpperCase()}
+                    </span>
+                  )}
+                </td>
+                <td>
+                  {!b.rolledBackAt && b.created > 0 && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => onRollback(b)}
+                      disabled={busyId === b.id}
+                    >
+                      {busyId === b.id ? "Rolling back..." : "Roll back"}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
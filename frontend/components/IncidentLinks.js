@@ -0,0 +1,187 @@
+import { useEffect, useState } from "react";
+import {
+  addLink,
+  listLinks,
+  removeLink,
+  searchIncidents,
+} from "../services/api";
+import { useMeta } from "../services/meta";
+
+/**
+ * IncidentLinks Component
+ *
+ * Purpose: Shows and edits the links between one incident and others
+ * (parent/child, related, caused-by, duplicates)
+ * @param {string} incidentId - The incident the links belong to
+ * @param {Function} onError - Receives error messages for the page's banner
+ * @param {number} version - The incident version being viewed, sent as If-Match with changes
+ * @param {Function} onChange - Called after any change, so the page can refresh the incident
+ *
+ * New links are made by searching for the other incident and picking a type.
+ */
+export default function IncidentLinks({
+  incidentId,
+  version,
+  onError,
+  onChange,
+}) {
+  const [links, setLinks] = useState([]);
+  const [type, setType] = useState("related-to");
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { meta } = useMeta();
+  // Link types and their labels come from GET /api/meta
+  const labelFor = (linkType) => meta?.linkLabels?.[linkType] || linkType;
+
+  async function load() {
+    try {
+      const data = await listLinks(incidentId);
+      setLinks(Array.isArray(data) ? data : []);
+    } catch (e) {
+      onError(e.message);
+    }
+  }
+
+  useEffect(() => {
+    if (!incidentId) return;
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [incidentId]);
+
+  async function onSearch(e) {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      const data = await searchIncidents(query.trim(), { limit: 10 });
+      setResults(
+        data.results
+          .map((r) => r.incident)
+          .filter((incident) => incident.id !== incidentId),
+      );
+    } catch (e2) {
+      onError(e2.message);
+    }
+  }
+
+  async function onAdd(otherId) {
+    try {
+      setBusy(true);
+      await addLink(incidentId, type, otherId, version);
+      await load();
+      onChange?.();
+      setQuery("");
+      setResults(null);
+    } catch (e) {
+      onError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onRemove(link) {
+    if (!window.confirm("Remove this link?")) return;
+    try {
+      await removeLink(incidentId, link.incidentId, link.type, version);
+      setLinks((list) =>
+        list.filter(
+          (l) => !(l.incidentId === link.incidentId && l.type === link.type),
+        ),
+      );
+      onChange?.();
+    } catch (e) {
+      onError(e.message);
+    }
+  }
+
+  return (
+    <div className="section">
+      <div className="section-title">Linked Incidents ({links.length})</div>
+
+      {links.length === 0 && <div className="muted">No linked incidents.</div>}
+
+      {links.length > 0 && (
+        <ul className="timeline">
+          {links.map((link) => (
+            <li
+              key={`${link.type}:${link.incidentId}`}
+              className="timeline-item"
+            >
+              <div className="row">
+                <strong>{labelFor(link.type)}</strong>
+                {link.incident ? (
+                  <>
+                    <a className="link" href={`/incidents/${link.incident.id}`}>
+                      {link.incident.title}
+                    </a>
+                    <span className="tag">{link.incident.status}</span>
+                  </>
+                ) : (
+                  <span className="muted mono">
+                    {link.incidentId.slice(0, 8)} (no longer exists)
+                  </span>
+                )}
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => onRemove(link)}
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="row" onSubmit={onSearch}>
+        <select
+          className="select"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        >
+          {(meta?.linkTypes || []).map((value) => (
+            <option key={value} value={value}>
+              {labelFor(value)}
+            </option>
+          ))}
+        </select>
+        <input
+          className="input"
+          placeholder="Search for an incident to link"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button
+          className="btn btn-secondary"
+          type="submit"
+          disabled={!query.trim()}
+        >
+          Search
+        </button>
+      </form>
+
+      {results &&
+        (results.length === 0 ? (
+          <div className="muted">No other incidents match.</div>
+        ) : (
+          <ul className="timeline">
+            {results.map((incident) => (
+              <li key={incident.id} className="timeline-item">
+                <div className="row">
+                  <span>{incident.title}</span>
+                  <span className="tag">{incident.status}</span>
+                  <button
+                    className="btn"
+                    onClick={() => onAdd(incident.id)}
+                    disabled={busy}
+                  >
+                    Link
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ))}
+    </div>
+  );
+}
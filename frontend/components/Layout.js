@@ -1,6 +1,20 @@
+import { useEffect, useState } from "react";
 import Link from "next/link";
+import { getActor, setActor } from "../services/actor";
 
 export default function Layout({ title, children }) {
+  const [name, setName] = useState("");
+
+  // localStorage is only available in the browser, so read it after mount
+  useEffect(() => {
+    setName(getActor());
+  }, []);
+
+  function onNameChange(e) {
+    setName(e.target.value);
+    setActor(e.target.value);
+  }
+
   return (
     <div className="layout">
       <aside className="sidebar">
@@ -12,6 +26,16 @@ export default function Layout({ title, children }) {
           <Link href="/incidents">Incidents</Link>
           <Link href="/bulk-upload">Bulk Upload</Link>
         </nav>
+
+        <label className="actor">
+          Your name
+          <input
+            className="input"
+            placeholder="Shown in history"
+            value={name}
+            onChange={onNameChange}
+          />
+        </label>
       </aside>
 
       <main className="main">
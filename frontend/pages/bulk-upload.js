@@ -1,28 +1,152 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import Layout from "../components/Layout";
 import ErrorBanner from "../components/ErrorBanner";
-import { bulkUploadCsv } from "../services/api";
+import ImportHistory from "../components/ImportHistory";
+import { formatSize } from "../components/AttachmentList";
+import { bulkUploadCsv, getImportJob } from "../services/api";
+import { useMeta } from "../services/meta";
+
+// How often a running import is polled for progress
+const POLL_INTERVAL_MS = 500;
+
+// How each duplicate policy is offered for the file's rows
+const POLICY_LABELS = {
+  warn: "Import them and list them below",
+  skip: "Skip them",
+  attach: "Import them marked as duplicates",
+};
+
+function isRunning(job) {
+  return job && (job.status === "queued" || job.status === "running");
+}
 
 export default function BulkUpload() {
   const [file, setFile] = useState(null);
-  const [result, setResult] = useState(null);
+  const [preview, setPreview] = useState(null);
+  // { field: column } - filled from the first preview, then edited by the user
+  const [mapping, setMapping] = useState(null);
+  // All-or-nothing: import only if every row is valid
+  const [transactional, setTransactional] = useState(false);
+  // What happens to rows that look like incidents already reported
+  const [duplicatePolicy, setDuplicatePolicy] = useState("");
+  // Worksheet to import when the file is an Excel workbook (default: the first)
+  const [sheet, setSheet] = useState("");
+  // The background import started by "Confirm import"
+  const [job, setJob] = useState(null);
   const [err, setErr] = useState("");
+  const [previewing, setPreviewing] = useState(false);
   const [uploading, setUploading] = useState(false);
 
-  async function onUpload() {
+  const importing = uploading || isRunning(job);
+  const { meta, error: metaError } = useMeta();
+
+  // Start on the server's default policy once it is known
+  useEffect(() => {
+    if (meta) setDuplicatePolicy((p) => p || meta.duplicates.policy);
+  }, [meta]);
+
+  // Poll the running import until it completes or fails
+  useEffect(() => {
+    if (!isRunning(job)) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        setJob(await getImportJob(job.id));
+      } catch (e) {
+        setErr(e.message);
+        setJob(null);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  function onFileChange(e) {
+    const picked = e.target.files?.[0] || null;
+    const maxSize = meta?.bulkUpload.maxFileSize;
+    if (picked && maxSize && picked.size > maxSize) {
+      setErr(`File is too large (max ${formatSize(maxSize)})`);
+      e.target.value = "";
+      return;
+    }
+    setErr("");
+    setFile(picked);
+    // A preview only applies to the file it was made from
+    setPreview(null);
+    setJob(null);
+    setMapping(null);
+    setSheet("");
+  }
+
+  function onSheetChange(e) {
+    setSheet(e.target.value);
+    // Another sheet has other columns, so match them afresh
+    setMapping(null);
+    setPreview((p) => (p ? { ...p, stale: true } : p));
+  }
+
+  function onTransactionalChange(e) {
+    setTransactional(e.target.checked);
+    setPreview((p) => (p ? { ...p, stale: true } : p));
+  }
+
+  function onDuplicatePolicyChange(e) {
+    setDuplicatePolicy(e.target.value);
+    setPreview((p) => (p ? { ...p, stale: true } : p));
+  }
+
+  function onMappingChange(field, column) {
+    setMapping((m) => ({ ...m, [field]: column }));
+    // The preview no longer matches the chosen columns
+    setPreview((p) => (p ? { ...p, stale: true } : p));
+  }
+
+  /**
+   * Step 1: dry run - validates the file and shows what would be imported
+   */
+  async function onPreview() {
     if (!file) {
       setErr("Please select a CSV file.");
       return;
     }
 
+    try {
+      setPreviewing(true);
+      setErr("");
+      setJob(null);
+      const data = await bulkUploadCsv(file, {
+        dryRun: true,
+        mapping: mapping || undefined,
+        transactional,
+        sheet,
+        duplicatePolicy,
+      });
+      setPreview(data);
+      // Spell out unmapped fields so later requests keep them unmapped
+      setMapping(
+        Object.fromEntries(data.fields.map((f) => [f, data.mapping[f] || ""])),
+      );
+    } catch (e) {
+      setErr(e.details ? `${e.message}: ${e.details.join(", ")}` : e.message);
+    } finally {
+      setPreviewing(false);
+    }
+  }
+
+  /**
+   * Step 2: the confirmed import
+   */
+  async function onUpload() {
+    if (!file) return;
+
     try {
       setUploading(true);
       setErr("");
-      setResult(null);
-      const data = await bulkUploadCsv(file);
-      setResult(data);
+      const started = await bulkUploadCsv(file, { mapping, transactional, sheet, duplicatePolicy });
+      setJob(started);
+      setPreview(null);
     } catch (e) {
-      setErr(e.message);
+      setErr(e.details ? `${e.message}: ${e.details.join(", ")}` : e.message);
     } finally {
       setUploading(false);
     }
@@ -30,62 +154,337 @@ export default function BulkUpload() {
 
   return (
     <Layout title="Bulk Upload">
-      <ErrorBanner message={err} />
+      <ErrorBanner message={err || metaError} />
 
       <div className="panel">
         <div className="panel-title">Upload CSV</div>
         <div className="panel-body">
           <div className="muted">
-            Required headers: <span className="mono">title,description,category,severity</span>
+            Expected headers: <span className="mono">title,description,category,severity</span>, optionally{" "}
+            <span className="mono">status,reportedBy,location,reportedAt</span> when migrating historical incidents.
+            Comma, semicolon and tab separated files are detected automatically, in UTF-8 or UTF-16 (Excel "Unicode Text").
+            Excel workbooks (.xlsx) can be uploaded directly.
+            Other header names (e.g. Summary, Priority) are matched automatically and can be adjusted after the preview.
           </div>
 
           <div className="row">
-            <input
-              type="file"
-              accept=".csv,text/csv"
-              onChange={(e) => setFile(e.target.files?.[0] || null)}
-            />
-            <button className="btn" onClick={onUpload} disabled={!file || uploading}>
-              {uploading ? "Uploading..." : "Upload"}
+            <input type="file" accept={meta?.bulkUpload.allowedExtensions.join(",")} onChange={onFileChange} />
+            <button className="btn" onClick={onPreview} disabled={!file || previewing || importing}>
+              {previewing ? "Checking..." : "Preview"}
             </button>
           </div>
 
-          {result && (
+          <label className="row">
+            <input type="checkbox" checked={transactional} onChange={onTransactionalChange} disabled={importing} />
+            All or nothing: import only if every row is valid
+          </label>
+
+          <label className="label">
+            Rows that look like incidents already reported
+            <select className="select" value={duplicatePolicy} onChange={onDuplicatePolicyChange} disabled={importing}>
+              {(meta?.duplicates.policies || []).map((p) => (
+                <option key={p} value={p}>{POLICY_LABELS[p] || p}</option>
+              ))}
+            </select>
+          </label>
+
+          {preview && (
             <div className="section">
-              <div className="section-title">Result</div>
+              {Array.isArray(preview.sheets) && preview.sheets.length > 1 && (
+                <label className="label">
+                  Worksheet
+                  <select className="select" value={sheet || preview.sheet} onChange={onSheetChange}>
+                    {preview.sheets.map((name) => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <div className="section-title">Column Mapping</div>
+              <ColumnMapping
+                fields={preview.fields}
+                columns={preview.columns}
+                mapping={mapping || {}}
+                onChange={onMappingChange}
+              />
+              {preview.missing.length > 0 && (
+                <div className="warn-box">
+                  No column chosen for: {preview.missing.join(", ")}. Rows will be rejected unless these are mapped.
+                </div>
+              )}
+              {preview.stale && (
+                <div className="warn-box">
+                  The import settings changed. Click Preview again to check the rows with them.
+                </div>
+              )}
+
+              <div className="section-title">Preview</div>
               <div className="box">
-                <div><strong>Total Rows:</strong> {result.totalRows}</div>
-                <div><strong>Created:</strong> {result.created}</div>
-                <div><strong>Skipped:</strong> {result.skipped}</div>
+                <div><strong>Total Rows:</strong> {preview.totalRows}</div>
+                <div><strong>Will be created:</strong> {preview.wouldCreate}</div>
+                <div><strong>Will be skipped:</strong> {preview.skipped}</div>
               </div>
+              {preview.transactional && preview.skipped > 0 && (
+                <div className="warn-box">
+                  All-or-nothing is on and {preview.skipped} row{preview.skipped === 1 ? " has" : "s have"} errors, so nothing will be imported. Fix the rejected rows or turn it off.
+                </div>
+              )}
 
-              {Array.isArray(result.rowErrors) && result.rowErrors.length > 0 && (
-                <>
-                  <div className="section-title">Skipped Row Errors</div>
-                  <div className="table-wrap">
-                    <table className="table">
-                      <thead>
-                        <tr>
-                          <th>Row</th>
-                          <th>Errors</th>
+              {preview.preview.length > 0 && (
+                <div className="table-wrap">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Row</th>
+                        <th>Title</th>
+                        <th>Category</th>
+                        <th>Severity</th>
+                        <th>Status</th>
+                        <th>Reported by</th>
+                        <th>Location</th>
+                        <th>Reported</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.preview.map((p) => (
+                        <tr key={p.row}>
+                          <td className="mono">{p.row}</td>
+                          <td>{p.value.title}</td>
+                          <td><span className="tag">{p.value.category}</span></td>
+                          <td><span className="tag">{p.value.severity}</span></td>
+                          <td><span className="tag">{p.status}</span></td>
+                          <td>{p.value.reportedBy || "-"}</td>
+                          <td>{p.value.location || "-"}</td>
+                          <td className="mono">{p.reportedAt ? p.reportedAt.slice(0, 10) : "on import"}</td>
                         </tr>
-                      </thead>
-                      <tbody>
-                        {result.rowErrors.map((r, idx) => (
-                          <tr key={idx}>
-                            <td className="mono">{r.row}</td>
-                            <td>{(r.errors || []).join(", ")}</td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                </>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
               )}
+
+              <Duplicates duplicates={preview.duplicates} />
+              <RowErrors result={preview} fileName={file && file.name} />
+
+              <div className="row">
+                <button className="btn" onClick={onUpload} disabled={importing || preview.stale || preview.wouldCreate === 0}>
+                  {uploading ? "Starting..." : `Confirm import of ${preview.wouldCreate} incident${preview.wouldCreate === 1 ? "" : "s"}`}
+                </button>
+                <button className="btn btn-secondary" onClick={() => setPreview(null)} disabled={importing}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {job && (
+            <div className="section">
+              <div className="section-title">
+                {isRunning(job) ? "Importing..." : job.status === "failed" ? "Import failed" : "Result"}
+              </div>
+
+              <div className="progress">
+                <div className="progress-bar" style={{ width: `${job.progress}%` }} />
+              </div>
+
+              {job.error && (
+                <ErrorBanner message={job.details ? `${job.error}: ${job.details.join(", ")}` : job.error} />
+              )}
+
+              <div className="box">
+                <div><strong>Rows processed:</strong> {job.processed}</div>
+                <div><strong>Created:</strong> {job.created}</div>
+                <div><strong>Skipped:</strong> {job.failed}</div>
+              </div>
+
+              {!isRunning(job) && <Duplicates duplicates={job.duplicates} />}
+              {!isRunning(job) && <RowErrors result={job} fileName={file && file.name} />}
             </div>
           )}
         </div>
       </div>
+
+      <div className="section">
+        <div className="section-title">Import History</div>
+        {/* Reload whenever an import starts or finishes */}
+        <ImportHistory refreshKey={job ? `${job.id}:${job.status}` : ""} onError={setErr} />
+      </div>
     </Layout>
   );
 }
+
+/**
+ * ColumnMapping Component
+ *
+ * Purpose: Lets the user choose which CSV column feeds each incident field
+ * @param {Array<string>} fields - Import fields reported by the backend
+ * @param {Array<string>} columns - The uploaded file's header names
+ * @param {Object} mapping - Current { field: column } choice ("" = not mapped)
+ * @param {Function} onChange - Called with (field, column)
+ */
+function ColumnMapping({ fields, columns, mapping, onChange }) {
+  return (
+    <div className="table-wrap">
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>CSV Column</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map((field) => (
+            <tr key={field}>
+              <td className="mono">{field}</td>
+              <td>
+                <select
+                  className="select"
+                  value={mapping[field] || ""}
+                  onChange={(e) => onChange(field, e.target.value)}
+                >
+                  <option value="">(not mapped)</option>
+                  {columns.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// How each duplicate policy was applied to a row
+const DUPLICATE_ACTIONS = {
+  flagged: "Import",
+  skipped: "Skip",
+  attached: "Import as duplicate",
+};
+
+/**
+ * Duplicates Component
+ *
+ * Purpose: Lists rows that look like an existing incident or an earlier row of the file
+ * @param {Array} duplicates - { row, title, match, action } from a preview or import job
+ */
+function Duplicates({ duplicates }) {
+  if (!Array.isArray(duplicates) || duplicates.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      <div className="section-title">Likely Duplicates</div>
+      <div className="table-wrap">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Title</th>
+              <th>Looks like</th>
+              <th>Similarity</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {duplicates.map((d) => (
+              <tr key={d.row}>
+                <td className="mono">{d.row}</td>
+                <td>{d.title}</td>
+                <td>
+                  {d.match.id ? (
+                    <a className="link" href={`/incidents/${d.match.id}`} target="_blank" rel="noreferrer">
+                      {d.match.title}
+                    </a>
+                  ) : (
+                    <>Row {d.match.row}: {d.match.title}</>
+                  )}
+                </td>
+                <td className="mono">{Math.round(d.match.score * 100)}%</td>
+                <td>{DUPLICATE_ACTIONS[d.action] || d.action}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+/**
+ * RowErrors Component
+ *
+ * Purpose: Lists rejected rows with their offending values and validation errors
+ * @param {Object} result - A dry-run preview or a finished import job
+ * @param {string} fileName - Used to name the downloaded rejected-rows CSV
+ */
+function RowErrors({ result, fileName }) {
+  if (!Array.isArray(result.rowErrors) || result.rowErrors.length === 0) {
+    return null;
+  }
+
+  /**
+   * Saves the rejected rows (with their errors column) as a CSV file
+   * so they can be fixed in a spreadsheet and uploaded again
+   */
+  function downloadRejected() {
+    if (!result.rejectedCsv) return;
+    const blob = new Blob([result.rejectedCsv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `rejected-${fileName || "rows.csv"}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return (
+    <>
+      <div className="section-title">Skipped Row Errors</div>
+      {result.rejectedCsv && (
+        <div className="row">
+          <button className="btn btn-secondary" onClick={downloadRejected}>
+            Download rejected rows (CSV)
+          </button>
+        </div>
+      )}
+      <div className="table-wrap">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Offending Values</th>
+              <th>Errors</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.rowErrors.map((r, idx) => (
+              <tr key={idx}>
+                <td className="mono">{r.row}</td>
+                <td>
+                  {Object.keys(r.fieldErrors || {})
+                    .map((field) => [field, (result.mapping || {})[field] || field])
+                    .filter(([, column]) => r.values && column in r.values)
+                    .map(([field, column]) => (
+                      <div key={field}>
+                        <strong>{field}:</strong>{" "}
+                        <span className="mono">
+                          {r.values[column] === "" ? "(empty)" : r.values[column]}
+                        </span>
+                      </div>
+                    ))}
+                </td>
+                <td>{(r.errors || []).join(", ")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
@@ -1,52 +1,63 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useState } from "react";
 import Layout from "../components/Layout";
 import ErrorBanner from "../components/ErrorBanner";
-import { listIncidents } from "../services/api";
+import { getIncidentStats, listIncidents } from "../services/api";
+import { useMeta, severityClass } from "../services/meta";
+
+// Number of most recent incidents shown in each status column
+const COLUMN_LIMIT = 10;
 
 export default function Dashboard() {
-  const [items, setItems] = useState([]);
+  const [columns, setColumns] = useState({});
+  const [counts, setCounts] = useState(null);
   const [err, setErr] = useState("");
   const [showArchived, setShowArchived] = useState(false);
+  const { meta, error: metaError } = useMeta();
+
+  // One column per configured status; the archived one sits below the others
+  const activeStatuses = meta
+    ? meta.statuses.filter((s) => s !== meta.archivedStatus)
+    : [];
 
   /**
-   * Loads incidents from the API
+   * Loads incident counts and the latest incidents per status from the API
    * Uses showArchived state to determine whether to include archived incidents
    */
   async function loadIncidents() {
+    if (!meta) return;
     try {
       setErr("");
-      const data = await listIncidents(showArchived);
-      setItems(Array.isArray(data) ? data : []);
+      const statuses = showArchived
+        ? [...activeStatuses, meta.archivedStatus]
+        : activeStatuses;
+      const [statsData, ...pages] = await Promise.all([
+        getIncidentStats(showArchived),
+        ...statuses.map((status) =>
+          listIncidents({ status, limit: COLUMN_LIMIT }),
+        ),
+      ]);
+      setCounts(statsData);
+      setColumns(
+        Object.fromEntries(statuses.map((s, idx) => [s, pages[idx].items])),
+      );
     } catch (e) {
       setErr(e.message);
     }
   }
 
-  // Load incidents on mount and when showArchived changes
+  // Load incidents once the statuses are known and when showArchived changes
   useEffect(() => {
     loadIncidents();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [showArchived]);
+  }, [meta, showArchived]);
 
-  /**
-   * Calculates statistics from incident data
-   * Memoized to avoid recalculation on every render
-   */
-  const stats = useMemo(() => {
-    const total = items.length;
-    const open = items.filter((x) => x.status === "OPEN").length;
-    const investigating = items.filter(
-      (x) => x.status === "INVESTIGATING",
-    ).length;
-    const resolved = items.filter((x) => x.status === "RESOLVED").length;
-    const archived = items.filter((x) => x.status === "ARCHIVED").length;
-    const high = items.filter((x) => x.severity === "HIGH").length;
-    return { total, open, investigating, resolved, archived, high };
-  }, [items]);
+  const byStatus = (counts && counts.byStatus) || {};
+  const bySeverity = (counts && counts.bySeverity) || {};
+  const topSeverity = meta && meta.severities[meta.severities.length - 1];
 
   return (
     <Layout title="Dashboard">
-      <ErrorBanner message={err} />
+      <ErrorBanner message={err || metaError} />
 
       {/* Archive Filter Checkbox */}
       <div style={{ marginBottom: "1rem" }}>
@@ -71,52 +82,43 @@ export default function Dashboard() {
       <div className="kpis">
         <div className="kpi">
           <div className="kpi-label">Total</div>
-          <div className="kpi-value">{stats.total}</div>
-        </div>
-        <div className="kpi">
-          <div className="kpi-label">Open</div>
-          <div className="kpi-value">{stats.open}</div>
-        </div>
-        <div className="kpi">
-          <div className="kpi-label">Investigating</div>
-          <div className="kpi-value">{stats.investigating}</div>
-        </div>
-        <div className="kpi">
-          <div className="kpi-label">Resolved</div>
-          <div className="kpi-value">{stats.resolved}</div>
-        </div>
-        <div className="kpi">
-          <div className="kpi-label">Archived</div>
-          <div className="kpi-value">{stats.archived}</div>
-        </div>
-        <div className="kpi">
-          <div className="kpi-label">High Severity</div>
-          <div className="kpi-value">{stats.high}</div>
+          <div className="kpi-value">{(counts && counts.total) || 0}</div>
         </div>
+        {(meta?.statuses || []).map((status) => (
+          <div key={status} className="kpi">
+            <div className="kpi-label">{status}</div>
+            <div className="kpi-value">{byStatus[status] || 0}</div>
+          </div>
+        ))}
+        {topSeverity && (
+          <div className="kpi">
+            <div className="kpi-label">{topSeverity} Severity</div>
+            <div className="kpi-value">{bySeverity[topSeverity] || 0}</div>
+          </div>
+        )}
       </div>
 
       {/* Status Columns */}
       <div className="grid3">
-        <StatusColumn
-          title="OPEN"
-          items={items.filter((x) => x.status === "OPEN")}
-        />
-        <StatusColumn
-          title="INVESTIGATING"
-          items={items.filter((x) => x.status === "INVESTIGATING")}
-        />
-        <StatusColumn
-          title="RESOLVED"
-          items={items.filter((x) => x.status === "RESOLVED")}
-        />
+        {activeStatuses.map((status) => (
+          <StatusColumn
+            key={status}
+            title={status}
+            items={columns[status] || []}
+            total={byStatus[status] || 0}
+            meta={meta}
+          />
+        ))}
       </div>
 
       {/* Archived Column (only shown when showArchived is true) */}
-      {showArchived && (
+      {showArchived && meta && (
         <div style={{ marginTop: "1rem" }}>
           <StatusColumn
-            title="ARCHIVED"
-            items={items.filter((x) => x.status === "ARCHIVED")}
+            title={meta.archivedStatus}
+            items={columns[meta.archivedStatus] || []}
+            total={byStatus[meta.archivedStatus] || 0}
+            meta={meta}
           />
         </div>
       )}
@@ -130,17 +132,19 @@ export default function Dashboard() {
  * Purpose: Displays a panel with incidents of a specific status
  * @param {string} title - The status name for the column header
  * @param {Array} items - The incidents to display in this column
+ * @param {number} total - The total number of incidents with this status
+ * @param {Object} meta - Server metadata (see useMeta), used to colour severities
  *
  * Shows:
  * - Column header with status name and count
- * - List of incident cards with title, tags, and link to details
+ * - List of the most recent incident cards with title, tags, and link to details
  * - "No incidents" message if empty
  */
-function StatusColumn({ title, items }) {
+function StatusColumn({ title, items, total, meta }) {
   return (
     <div className="panel">
       <div className="panel-title">
-        {title} ({items.length})
+        {title} ({total})
       </div>
       <div className="panel-body">
         {items.length === 0 ? (
@@ -151,9 +155,7 @@ function StatusColumn({ title, items }) {
               <div className="card-title">{x.title}</div>
               <div className="card-meta">
                 <span className="tag">{x.category}</span>
-                <span
-                  className={`tag ${x.severity === "HIGH" ? "tag-danger" : x.severity === "MEDIUM" ? "tag-warn" : ""}`}
-                >
+                <span className={`tag ${severityClass(x.severity, meta)}`}>
                   {x.severity}
                 </span>
               </div>
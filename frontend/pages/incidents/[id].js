@@ -2,19 +2,32 @@ import { useEffect, useMemo, useState } from "react";
 import { useRouter } from "next/router";
 import Layout from "../../components/Layout";
 import ErrorBanner from "../../components/ErrorBanner";
+import CommentThread from "../../components/CommentThread";
+import AttachmentList from "../../components/AttachmentList";
+import IncidentLinks from "../../components/IncidentLinks";
 import {
-  changeIncidentStatus,
   getIncident,
-  archiveIncident,
-  resetIncident,
+  getIncidentHistory,
+  getIncidentTransitions,
+  transitionIncident,
+  updateIncident,
+  mergeIncidents,
+  searchIncidents,
 } from "../../services/api";
+import {
+  useMeta,
+  checkIncidentFields,
+  severityClass,
+} from "../../services/meta";
 
-const STATUS_FLOW = {
-  OPEN: ["INVESTIGATING"],
-  INVESTIGATING: ["RESOLVED"],
-  RESOLVED: [],
-  ARCHIVED: [],
-};
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "severity",
+  "reportedBy",
+  "location",
+];
 
 export default function IncidentDetails() {
   const router = useRouter();
@@ -24,21 +37,46 @@ export default function IncidentDetails() {
   const [err, setErr] = useState("");
   const [loading, setLoading] = useState(false);
 
-  const [nextStatus, setNextStatus] = useState("");
-  const [updating, setUpdating] = useState(false);
-  const [archiving, setArchiving] = useState(false);
-  const [resetting, setResetting] = useState(false);
+  const { meta, error: metaError } = useMeta();
+
+  // Workflow transitions from the current status (see getIncidentTransitions)
+  const [transitions, setTransitions] = useState([]);
+  // Name of the transition being applied
+  const [transitioning, setTransitioning] = useState("");
+
+  const [reason, setReason] = useState("");
+  const [history, setHistory] = useState([]);
+
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Set when a change was rejected because someone else updated the incident
+  const [conflict, setConflict] = useState(false);
+
+  // "Merge into..." search for the incident this one duplicates
+  const [mergeQuery, setMergeQuery] = useState("");
+  const [mergeResults, setMergeResults] = useState(null);
+  const [merging, setMerging] = useState(false);
 
   async function load() {
     if (!id) return;
     try {
       setLoading(true);
       setErr("");
-      const data = await getIncident(id);
+      const [data, trail, next] = await Promise.all([
+        getIncident(id),
+        getIncidentHistory(id),
+        getIncidentTransitions(id),
+      ]);
+      // A merged incident's URL leads to the incident it was merged into
+      if (data.id !== id) {
+        router.replace(`/incidents/${data.id}`);
+        return;
+      }
       setItem(data);
-
-      const allowed = STATUS_FLOW[data.status] || [];
-      setNextStatus(allowed[0] || "");
+      setHistory(Array.isArray(trail) ? trail : []);
+      setTransitions(Array.isArray(next) ? next : []);
     } catch (e) {
       setErr(e.message);
     } finally {
@@ -50,66 +88,204 @@ export default function IncidentDetails() {
     load();
   }, [id]);
 
-  const allowedNext = useMemo(() => {
-    if (!item) return [];
-    return STATUS_FLOW[item.status] || [];
-  }, [item]);
+  /**
+   * Refreshes the history timeline after a status change
+   * Clears the reason so it is not reused for the next action
+   */
+  async function refreshHistory(incidentId) {
+    setReason("");
+    try {
+      const trail = await getIncidentHistory(incidentId);
+      setHistory(Array.isArray(trail) ? trail : []);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
 
-  async function onUpdateStatus() {
-    if (!item || !nextStatus) return;
+  /**
+   * Re-reads which transitions are available after anything that can
+   * affect their guards (status, fields, links to child incidents)
+   */
+  async function refreshTransitions(incidentId) {
     try {
-      setUpdating(true);
-      setErr("");
-      const updated = await changeIncidentStatus(item.id, nextStatus);
-      setItem(updated);
-      const newAllowed = STATUS_FLOW[updated.status] || [];
-      setNextStatus(newAllowed[0] || "");
+      const next = await getIncidentTransitions(incidentId);
+      setTransitions(Array.isArray(next) ? next : []);
     } catch (e) {
       setErr(e.message);
+    }
+  }
+
+  const editErrors = useMemo(
+    () => (draft ? checkIncidentFields(draft, meta) : []),
+    [draft, meta],
+  );
+
+  const archived = Boolean(item && meta && item.status === meta.archivedStatus);
+
+  /**
+   * Shows the reload prompt for version conflicts (412), otherwise the error banner
+   */
+  function handleMutationError(e) {
+    if (e.status === 412) {
+      setConflict(true);
+      return;
+    }
+    setErr(e.message);
+  }
+
+  async function onReloadAfterConflict() {
+    setConflict(false);
+    cancelEdit();
+    await load();
+  }
+
+  /**
+   * Re-reads the incident after a comment or attachment change
+   * so the version used for the next If-Match stays current
+   */
+  async function refreshItem() {
+    try {
+      const data = await getIncident(item.id);
+      setItem(data);
+      await refreshTransitions(data.id);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  function startEdit() {
+    setDraft({
+      title: item.title,
+      description: item.description,
+      category: item.category,
+      severity: item.severity,
+      reportedBy: item.reportedBy || "",
+      location: item.location || "",
+    });
+    setEditing(true);
+  }
+
+  function cancelEdit() {
+    setEditing(false);
+    setDraft(null);
+  }
+
+  async function onSaveEdit(e) {
+    e.preventDefault();
+    if (!item || !draft || editErrors.length > 0) return;
+
+    // Send only the fields that were actually changed
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      const value =
+        typeof draft[field] === "string" ? draft[field].trim() : draft[field];
+      // Optional fields are blank in the form but null on the incident
+      if (value !== (item[field] ?? "")) changes[field] = value;
+    }
+    if (Object.keys(changes).length === 0) {
+      cancelEdit();
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setErr("");
+      const updated = await updateIncident(item.id, changes, item.version);
+      setItem(updated);
+      cancelEdit();
+      await refreshTransitions(updated.id);
+    } catch (e2) {
+      handleMutationError(e2);
     } finally {
-      setUpdating(false);
+      setSaving(false);
     }
   }
 
-  async function onArchive() {
+  async function onTransition(transition) {
     if (!item) return;
     try {
-      setArchiving(true);
+      setTransitioning(transition.name);
       setErr("");
-      const archived = await archiveIncident(item.id);
-      setItem(archived);
-      setNextStatus("");
+      const updated = await transitionIncident(
+        item.id,
+        transition.name,
+        reason,
+        item.version,
+      );
+      setItem(updated);
+      await refreshHistory(updated.id);
+      await refreshTransitions(updated.id);
     } catch (e) {
-      setErr(e.message);
+      handleMutationError(e);
     } finally {
-      setArchiving(false);
+      setTransitioning("");
     }
   }
 
-  async function onReset() {
+  async function onMergeSearch(e) {
+    e.preventDefault();
+    if (!mergeQuery.trim()) return;
+    try {
+      setErr("");
+      const data = await searchIncidents(mergeQuery.trim(), { limit: 10 });
+      setMergeResults(
+        data.results
+          .map((r) => r.incident)
+          .filter((incident) => incident.id !== item.id),
+      );
+    } catch (e2) {
+      setErr(e2.message);
+    }
+  }
+
+  async function onMergeInto(target) {
     if (!item) return;
+    if (
+      !window.confirm(
+        `Merge this incident into "${target.title}"? Its comments and attachments move there and this incident is archived.`,
+      )
+    ) {
+      return;
+    }
     try {
-      setResetting(true);
+      setMerging(true);
       setErr("");
-      const reset = await resetIncident(item.id);
-      setItem(reset);
-      const newAllowed = STATUS_FLOW[reset.status] || [];
-      setNextStatus(newAllowed[0] || "");
+      await mergeIncidents(target.id, [item.id], reason, target.version, {
+        [item.id]: item.version,
+      });
+      setMergeQuery("");
+      setMergeResults(null);
+      router.push(`/incidents/${target.id}`);
     } catch (e) {
       setErr(e.message);
     } finally {
-      setResetting(false);
+      setMerging(false);
     }
   }
 
-  const canArchive =
-    item && (item.status === "OPEN" || item.status === "RESOLVED");
-
-  const canReset = item && item.status === "ARCHIVED";
-
   return (
     <Layout title="Incident Details">
-      <ErrorBanner message={err} />
+      <ErrorBanner message={err || metaError} />
+
+      {conflict && (
+        <div className="warn-box">
+          <div className="warn-title">
+            This incident changed since you opened it.
+          </div>
+          <p>Your change was not saved. Reload to see the latest version?</p>
+          <div className="row">
+            <button className="btn" onClick={onReloadAfterConflict}>
+              Reload
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setConflict(false)}
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
 
       {loading && <div className="muted">Loading...</div>}
 
@@ -117,6 +293,116 @@ export default function IncidentDetails() {
         <div className="panel">
           <div className="panel-title">{item.title}</div>
           <div className="panel-body">
+            {/* Inline Edit Form */}
+            {editing && draft && (
+              <form className="form" onSubmit={onSaveEdit}>
+                {editErrors.length > 0 && (
+                  <div className="warn-box">
+                    <div className="warn-title">
+                      Fix these issues before saving:
+                    </div>
+                    <ul>
+                      {editErrors.map((x, idx) => (
+                        <li key={idx}>{x}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                <label className="label">
+                  Title
+                  <input
+                    className="input"
+                    value={draft.title}
+                    onChange={(e) =>
+                      setDraft({ ...draft, title: e.target.value })
+                    }
+                  />
+                </label>
+                <label className="label">
+                  Description
+                  <textarea
+                    className="textarea"
+                    value={draft.description}
+                    onChange={(e) =>
+                      setDraft({ ...draft, description: e.target.value })
+                    }
+                  />
+                </label>
+                <div className="grid2">
+                  <label className="label">
+                    Category
+                    <select
+                      className="select"
+                      value={draft.category}
+                      onChange={(e) =>
+                        setDraft({ ...draft, category: e.target.value })
+                      }
+                    >
+                      {(meta?.categories || []).map((x) => (
+                        <option key={x} value={x}>
+                          {x}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="label">
+                    Severity
+                    <select
+                      className="select"
+                      value={draft.severity}
+                      onChange={(e) =>
+                        setDraft({ ...draft, severity: e.target.value })
+                      }
+                    >
+                      {(meta?.severities || []).map((x) => (
+                        <option key={x} value={x}>
+                          {x}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <div className="grid2">
+                  <label className="label">
+                    Reported by
+                    <input
+                      className="input"
+                      value={draft.reportedBy}
+                      onChange={(e) =>
+                        setDraft({ ...draft, reportedBy: e.target.value })
+                      }
+                    />
+                  </label>
+                  <label className="label">
+                    Location
+                    <input
+                      className="input"
+                      value={draft.location}
+                      onChange={(e) =>
+                        setDraft({ ...draft, location: e.target.value })
+                      }
+                    />
+                  </label>
+                </div>
+                <div className="row">
+                  <button
+                    className="btn"
+                    type="submit"
+                    disabled={saving || !meta || editErrors.length > 0}
+                  >
+                    {saving ? "Saving..." : "Save changes"}
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    type="button"
+                    onClick={cancelEdit}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
             {/* Incident Metadata */}
             <div className="meta">
               <div>
@@ -128,17 +414,13 @@ export default function IncidentDetails() {
               </div>
               <div>
                 <strong>Severity:</strong>{" "}
-                <span
-                  className={`tag ${item.severity === "HIGH" ? "tag-danger" : item.severity === "MEDIUM" ? "tag-warn" : ""}`}
-                >
+                <span className={`tag ${severityClass(item.severity, meta)}`}>
                   {item.severity}
                 </span>
               </div>
               <div>
                 <strong>Status:</strong>{" "}
-                <span
-                  className={`tag ${item.status === "ARCHIVED" ? "tag-muted" : ""}`}
-                >
+                <span className={`tag ${archived ? "tag-muted" : ""}`}>
                   {item.status}
                 </span>
               </div>
@@ -148,6 +430,16 @@ export default function IncidentDetails() {
                   {(item.reportedAt || "").slice(0, 19).replace("T", " ")}
                 </span>
               </div>
+              {item.reportedBy && (
+                <div>
+                  <strong>Reported by:</strong> {item.reportedBy}
+                </div>
+              )}
+              {item.location && (
+                <div>
+                  <strong>Location:</strong> {item.location}
+                </div>
+              )}
             </div>
 
             {/* Description */}
@@ -156,67 +448,233 @@ export default function IncidentDetails() {
               <div className="box">{item.description}</div>
             </div>
 
-            {/* Status Update Section (only for non-archived incidents with transitions) */}
-            {item.status !== "ARCHIVED" && allowedNext.length > 0 && (
+            {!editing && !archived && (
+              <div className="row">
+                <button className="btn btn-secondary" onClick={startEdit}>
+                  Edit details
+                </button>
+              </div>
+            )}
+
+            {/* Reason recorded with whichever transition is taken next */}
+            {transitions.length > 0 && (
+              <div className="section">
+                <div className="section-title">Reason (optional)</div>
+                <input
+                  className="input"
+                  placeholder="Why is the status changing?"
+                  value={reason}
+                  maxLength={meta?.validation.reason.maxLength}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+              </div>
+            )}
+
+            {/* Workflow transitions from the current status */}
+            {transitions.length > 0 ? (
               <div className="section">
                 <div className="section-title">Update Status</div>
                 <div className="row">
-                  <select
-                    className="select"
-                    value={nextStatus}
-                    onChange={(e) => setNextStatus(e.target.value)}
-                  >
-                    {allowedNext.map((s) => (
-                      <option key={s} value={s}>
-                        {s}
-                      </option>
-                    ))}
-                  </select>
-                  <button
-                    className="btn"
-                    onClick={onUpdateStatus}
-                    disabled={!nextStatus || updating}
-                  >
-                    {updating ? "Updating..." : "Update"}
-                  </button>
+                  {transitions.map((t) => (
+                    <button
+                      key={t.name}
+                      className="btn"
+                      onClick={() => onTransition(t)}
+                      disabled={
+                        !t.allowed ||
+                        (t.requiresComment && !reason.trim()) ||
+                        Boolean(transitioning)
+                      }
+                    >
+                      {transitioning === t.name
+                        ? "Updating..."
+                        : `${transitionLabel(t.name)} → ${t.to}`}
+                    </button>
+                  ))}
                 </div>
+                {transitions
+                  .filter((t) => !t.allowed)
+                  .map((t) => (
+                    <div key={t.name} className="muted">
+                      {transitionLabel(t.name)}: {t.errors.join("; ")}
+                    </div>
+                  ))}
+                {transitions
+                  .filter((t) => t.allowed && t.requiresComment)
+                  .map((t) => (
+                    <div key={t.name} className="muted">
+                      {transitionLabel(t.name)} needs a reason.
+                    </div>
+                  ))}
+              </div>
+            ) : (
+              <div className="muted">
+                No further actions available for this incident.
               </div>
             )}
 
-            {/* Archive Button (for OPEN and RESOLVED incidents) */}
-            {canArchive && (
-              <div className="section">
-                <div className="section-title">Archive Incident</div>
+            {/* Merge into another incident */}
+            <div className="section">
+              <div className="section-title">Merge into...</div>
+              <p className="muted">
+                If this reports the same thing as another incident, merge it
+                into that one.
+              </p>
+              <form className="row" onSubmit={onMergeSearch}>
+                <input
+                  className="input"
+                  placeholder="Search incidents"
+                  value={mergeQuery}
+                  onChange={(e) => setMergeQuery(e.target.value)}
+                />
                 <button
                   className="btn btn-secondary"
-                  onClick={onArchive}
-                  disabled={archiving}
+                  type="submit"
+                  disabled={!mergeQuery.trim()}
                 >
-                  {archiving ? "Archiving..." : "Archive"}
+                  Search
                 </button>
-              </div>
-            )}
+              </form>
+              {mergeResults &&
+                (mergeResults.length === 0 ? (
+                  <div className="muted">No other incidents match.</div>
+                ) : (
+                  <ul className="timeline">
+                    {mergeResults.map((target) => (
+                      <li key={target.id} className="timeline-item">
+                        <div className="row">
+                          <a
+                            className="link"
+                            href={`/incidents/${target.id}`}
+                            target="_blank"
+                            rel="noreferrer"
+                          >
+                            {target.title}
+                          </a>
+                          <span className="tag">{target.category}</span>
+                          <span className="tag">{target.status}</span>
+                          <button
+                            className="btn"
+                            onClick={() => onMergeInto(target)}
+                            disabled={merging}
+                          >
+                            {merging ? "Merging..." : "Merge into this"}
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                ))}
+            </div>
 
-            {/* Reset Button (for ARCHIVED incidents) */}
-            {canReset && (
+            {/* Incidents merged into this one */}
+            {Array.isArray(item.merges) && item.merges.length > 0 && (
               <div className="section">
-                <div className="section-title">Reset to Open</div>
-                <p className="muted">
-                  This will restore the incident back to OPEN status.
-                </p>
-                <button className="btn" onClick={onReset} disabled={resetting}>
-                  {resetting ? "Resetting..." : "Reset to Open"}
-                </button>
+                <div className="section-title">Merged Incidents</div>
+                <ul className="timeline">
+                  {item.merges.map((m) => (
+                    <li key={m.id} className="timeline-item">
+                      <div>
+                        {m.title}{" "}
+                        <span className="mono">({m.id.slice(0, 8)})</span>
+                      </div>
+                      <div className="muted">
+                        {(m.at || "").slice(0, 19).replace("T", " ")} by{" "}
+                        {m.actor}
+                      </div>
+                      {m.reason && <div>{m.reason}</div>}
+                    </li>
+                  ))}
+                </ul>
               </div>
             )}
 
-            {/* No Actions Available Message */}
-            {!canArchive && !canReset && allowedNext.length === 0 && (
-              <div className="muted">
-                No further actions available for this incident.
+            {/* Status History Timeline */}
+            <div className="section">
+              <div className="section-title">History</div>
+              {history.length === 0 ? (
+                <div className="muted">No status changes recorded.</div>
+              ) : (
+                <ul className="timeline">
+                  {history.map((h, idx) => (
+                    <li key={idx} className="timeline-item">
+                      <div>
+                        {h.from ? (
+                          <>
+                            <span className="tag">{h.from}</span> →{" "}
+                          </>
+                        ) : null}
+                        <span className="tag">{h.to}</span>
+                      </div>
+                      <div className="muted">
+                        {(h.at || "").slice(0, 19).replace("T", " ")} by{" "}
+                        {h.actor}
+                      </div>
+                      {h.reason && <div>{h.reason}</div>}
+                      {h.mergedFrom && (
+                        <div className="muted">
+                          From merged incident{" "}
+                          <span className="mono">
+                            {h.mergedFrom.slice(0, 8)}
+                          </span>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Field Edit Log */}
+            {Array.isArray(item.edits) && item.edits.length > 0 && (
+              <div className="section">
+                <div className="section-title">Edits</div>
+                <ul className="timeline">
+                  {item.edits.map((edit, idx) => (
+                    <li key={idx} className="timeline-item">
+                      <div className="muted">
+                        {(edit.at || "").slice(0, 19).replace("T", " ")} by{" "}
+                        {edit.actor}
+                      </div>
+                      {Object.entries(edit.changes || {}).map(
+                        ([field, change]) => (
+                          <div key={field}>
+                            <strong>{field}:</strong>{" "}
+                            <span className="muted">{String(change.from)}</span>{" "}
+                            → {String(change.to)}
+                          </div>
+                        ),
+                      )}
+                    </li>
+                  ))}
+                </ul>
               </div>
             )}
 
+            {/* Links */}
+            <IncidentLinks
+              incidentId={item.id}
+              version={item.version}
+              onError={setErr}
+              onChange={refreshItem}
+            />
+
+            {/* Attachments */}
+            <AttachmentList
+              incidentId={item.id}
+              version={item.version}
+              onError={setErr}
+              onChange={refreshItem}
+            />
+
+            {/* Discussion */}
+            <CommentThread
+              incidentId={item.id}
+              version={item.version}
+              onError={setErr}
+              onChange={refreshItem}
+            />
+
             {/* Back Button */}
             <div className="row" style={{ marginTop: "1rem" }}>
               <button
@@ -236,3 +694,8 @@ export default function IncidentDetails() {
     </Layout>
   );
 }
+
+// "investigate" -> "Investigate"; transitions are named in config.workflow
+function transitionLabel(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
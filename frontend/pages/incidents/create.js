@@ -1,45 +1,67 @@
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { useRouter } from "next/router";
 import Layout from "../../components/Layout";
 import ErrorBanner from "../../components/ErrorBanner";
-import { createIncident } from "../../services/api";
-
-const CATEGORIES = ["IT", "SAFETY", "FACILITIES", "OTHER"];
-const SEVERITIES = ["LOW", "MEDIUM", "HIGH"];
+import { createIncident, uploadAttachment } from "../../services/api";
+import { useMeta, checkIncidentFields } from "../../services/meta";
 
 export default function CreateIncident() {
   const router = useRouter();
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
-  const [category, setCategory] = useState("IT");
-  const [severity, setSeverity] = useState("LOW");
+  const [category, setCategory] = useState("");
+  const [severity, setSeverity] = useState("");
+  const [reportedBy, setReportedBy] = useState("");
+  const [location, setLocation] = useState("");
+  const [files, setFiles] = useState([]);
   const [err, setErr] = useState("");
   const [saving, setSaving] = useState(false);
+  // Existing incidents this one looks like, returned when the save was refused
+  const [duplicates, setDuplicates] = useState(null);
+  const { meta, error: metaError } = useMeta();
+
+  // Start on the first configured category and severity once they are known
+  useEffect(() => {
+    if (!meta) return;
+    setCategory(c => c || meta.categories[0]);
+    setSeverity(s => s || meta.severities[0]);
+  }, [meta]);
 
   const validation = useMemo(() => {
-    const errors = [];
-    if (title.trim().length < 5) errors.push("Title must be at least 5 characters");
-    if (description.trim().length < 10) errors.push("Description must be at least 10 characters");
-    if (!CATEGORIES.includes(category)) errors.push("Invalid category");
-    if (!SEVERITIES.includes(severity)) errors.push("Invalid severity");
-    return { ok: errors.length === 0, errors };
-  }, [title, description, category, severity]);
-
-  async function onSubmit(e) {
+    const errors = checkIncidentFields({ title, description, category, severity, reportedBy, location }, meta);
+    return { ok: Boolean(meta) && errors.length === 0, errors };
+  }, [title, description, category, severity, reportedBy, location, meta]);
+
+  function onSubmit(e) {
     e.preventDefault();
     if (!validation.ok) return;
+    // Ask first if it looks like something already reported
+    save("skip");
+  }
 
+  async function save(duplicatePolicy) {
     try {
       setSaving(true);
       setErr("");
+      setDuplicates(null);
       const created = await createIncident({
         title: title.trim(),
         description: description.trim(),
         category,
-        severity
-      });
+        severity,
+        reportedBy: reportedBy.trim(),
+        location: location.trim()
+      }, { duplicatePolicy });
+      // Attach files one by one once the incident exists
+      for (const file of files) {
+        await uploadAttachment(created.id, file);
+      }
       router.push(`/incidents/${created.id}`);
     } catch (e2) {
+      if (e2.status === 409 && e2.body?.possibleDuplicates) {
+        setDuplicates(e2.body.possibleDuplicates);
+        return;
+      }
       setErr(e2.details ? `${e2.message}: ${e2.details.join(", ")}` : e2.message);
     } finally {
       setSaving(false);
@@ -48,9 +70,9 @@ export default function CreateIncident() {
 
   return (
     <Layout title="Create Incident">
-      <ErrorBanner message={err} />
+      <ErrorBanner message={err || metaError} />
 
-      {!validation.ok && (
+      {validation.errors.length > 0 && (
         <div className="warn-box">
           <div className="warn-title">Fix these issues before saving:</div>
           <ul>
@@ -59,6 +81,28 @@ export default function CreateIncident() {
         </div>
       )}
 
+      {duplicates && (
+        <div className="warn-box">
+          <div className="warn-title">This looks like an incident that has already been reported:</div>
+          <ul>
+            {duplicates.map((d) => (
+              <li key={d.id}>
+                <a className="link" href={`/incidents/${d.id}`} target="_blank" rel="noreferrer">{d.title}</a>
+                {" "}({d.status}, reported {new Date(d.reportedAt).toLocaleString()}, {Math.round(d.score * 100)}% similar)
+              </li>
+            ))}
+          </ul>
+          <div className="row">
+            <button className="btn" type="button" disabled={saving} onClick={() => save("attach")}>
+              Save as duplicate
+            </button>
+            <button className="btn btn-secondary" type="button" disabled={saving} onClick={() => save("warn")}>
+              Save anyway
+            </button>
+          </div>
+        </div>
+      )}
+
       <form className="form" onSubmit={onSubmit}>
         <label className="label">
           Title
@@ -74,18 +118,40 @@ export default function CreateIncident() {
           <label className="label">
             Category
             <select className="select" value={category} onChange={(e) => setCategory(e.target.value)}>
-              {CATEGORIES.map(x => <option key={x} value={x}>{x}</option>)}
+              {(meta?.categories || []).map(x => <option key={x} value={x}>{x}</option>)}
             </select>
           </label>
 
           <label className="label">
             Severity
             <select className="select" value={severity} onChange={(e) => setSeverity(e.target.value)}>
-              {SEVERITIES.map(x => <option key={x} value={x}>{x}</option>)}
+              {(meta?.severities || []).map(x => <option key={x} value={x}>{x}</option>)}
             </select>
           </label>
         </div>
 
+        <div className="grid2">
+          <label className="label">
+            Reported by (optional)
+            <input className="input" value={reportedBy} onChange={(e) => setReportedBy(e.target.value)} />
+          </label>
+
+          <label className="label">
+            Location (optional)
+            <input className="input" value={location} onChange={(e) => setLocation(e.target.value)} />
+          </label>
+        </div>
+
+        <label className="label">
+          Attachments (optional)
+          <input
+            type="file"
+            multiple
+            accept={meta?.attachments.allowedMimeTypes.join(",")}
+            onChange={(e) => setFiles(Array.from(e.target.files || []))}
+          />
+        </label>
+
         <div className="row">
           <button className="btn" type="submit" disabled={!validation.ok || saving}>
             {saving ? "Saving..." : "Save"}
@@ -1,17 +1,45 @@
 import { useEffect, useState } from "react";
 import Layout from "../../components/Layout";
 import ErrorBanner from "../../components/ErrorBanner";
-import { listIncidents } from "../../services/api";
+import {
+  exportIncidentsUrl,
+  listIncidents,
+  searchIncidents,
+} from "../../services/api";
+import { useMeta, severityClass } from "../../services/meta";
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = {
+  status: "",
+  category: "",
+  severity: "",
+  reportedFrom: "",
+  reportedTo: "",
+  sort: "reportedAt",
+  order: "desc",
+};
 
 export default function IncidentsList() {
   const [items, setItems] = useState([]);
   const [err, setErr] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const [query, setQuery] = useState("");
+  const [searchResult, setSearchResult] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const { meta, error: metaError } = useMeta();
 
   async function load() {
     try {
       setErr("");
-      const data = await listIncidents();
-      setItems(Array.isArray(data) ? data : []);
+      const data = await listIncidents({ ...filters, page, limit: PAGE_SIZE });
+      setItems(Array.isArray(data.items) ? data.items : []);
+      setTotal(data.total || 0);
+      setTotalPages(data.totalPages || 1);
     } catch (e) {
       setErr(e.message);
     }
@@ -19,52 +47,283 @@ export default function IncidentsList() {
 
   useEffect(() => {
     load();
-  }, []);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters, page]);
+
+  async function onSearch(e) {
+    e.preventDefault();
+    if (!query.trim()) {
+      setSearchResult(null);
+      return;
+    }
+    try {
+      setSearching(true);
+      setErr("");
+      const data = await searchIncidents(query.trim(), {
+        includeArchived: true,
+      });
+      setSearchResult(data);
+    } catch (e2) {
+      setErr(e2.message);
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  function clearSearch() {
+    setQuery("");
+    setSearchResult(null);
+  }
+
+  function updateFilter(key, value) {
+    setFilters((f) => ({ ...f, [key]: value }));
+    setPage(1);
+  }
 
   return (
     <Layout title="Incidents">
-      <ErrorBanner message={err} />
-
-      <div className="row">
-        <button className="btn" onClick={load}>Refresh</button>
-      </div>
-
-      <div className="table-wrap">
-        <table className="table">
-          <thead>
-            <tr>
-              <th>ID</th>
-              <th>Title</th>
-              <th>Category</th>
-              <th>Severity</th>
-              <th>Status</th>
-              <th>Reported</th>
-              <th>Action</th>
-            </tr>
-          </thead>
-          <tbody>
-            {items.length === 0 ? (
-              <tr><td colSpan="7" className="muted">No incidents found</td></tr>
-            ) : (
-              items.map(i => (
-                <tr key={i.id}>
-                  <td className="mono">{i.id.slice ? i.id.slice(0, 8) : i.id}</td>
-                  <td>{i.title}</td>
-                  <td><span className="tag">{i.category}</span></td>
-                  <td>
-                    <span className={`tag ${i.severity === "HIGH" ? "tag-danger" : i.severity === "MEDIUM" ? "tag-warn" : ""}`}>
-                      {i.severity}
-                    </span>
-                  </td>
-                  <td><span className="tag">{i.status}</span></td>
-                  <td className="mono">{(i.reportedAt || "").slice(0, 19).replace("T", " ")}</td>
-                  <td><a className="link" href={`/incidents/${i.id}`}>View</a></td>
+      <ErrorBanner message={err || metaError} />
+
+      {/* Search */}
+      <form className="row" onSubmit={onSearch}>
+        <input
+          className="input"
+          placeholder="Search titles and descriptions..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button className="btn" type="submit" disabled={searching}>
+          {searching ? "Searching..." : "Search"}
+        </button>
+        {searchResult && (
+          <button
+            className="btn btn-secondary"
+            type="button"
+            onClick={clearSearch}
+          >
+            Back to list
+          </button>
+        )}
+      </form>
+
+      {searchResult && (
+        <div className="section">
+          <div className="section-title">
+            {searchResult.total} result{searchResult.total === 1 ? "" : "s"} for
+            "{searchResult.query}"
+          </div>
+          {searchResult.results.length === 0 ? (
+            <div className="muted">No matching incidents</div>
+          ) : (
+            searchResult.results.map(({ incident, highlights }) => (
+              <div key={incident.id} className="card">
+                <div className="card-title">
+                  <Highlighted segments={highlights.title} />
+                </div>
+                <div className="card-meta">
+                  <span className="tag">{incident.category}</span>
+                  <span className="tag">{incident.status}</span>
+                  <span className="mono">
+                    {(incident.reportedAt || "").slice(0, 10)}
+                  </span>
+                </div>
+                <div className="muted">
+                  <Highlighted segments={highlights.description} />
+                </div>
+                <a className="link" href={`/incidents/${incident.id}`}>
+                  View
+                </a>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      {!searchResult && (
+        <>
+          {/* Filters */}
+          <div className="row">
+            <select
+              className="select"
+              value={filters.status}
+              onChange={(e) => updateFilter("status", e.target.value)}
+            >
+              <option value="">All active statuses</option>
+              {(meta?.statuses || []).map((x) => (
+                <option key={x} value={x}>
+                  {x}
+                </option>
+              ))}
+            </select>
+            <select
+              className="select"
+              value={filters.category}
+              onChange={(e) => updateFilter("category", e.target.value)}
+            >
+              <option value="">All categories</option>
+              {(meta?.categories || []).map((x) => (
+                <option key={x} value={x}>
+                  {x}
+                </option>
+              ))}
+            </select>
+            <select
+              className="select"
+              value={filters.severity}
+              onChange={(e) => updateFilter("severity", e.target.value)}
+            >
+              <option value="">All severities</option>
+              {(meta?.severities || []).map((x) => (
+                <option key={x} value={x}>
+                  {x}
+                </option>
+              ))}
+            </select>
+            <input
+              className="input"
+              type="date"
+              value={filters.reportedFrom}
+              onChange={(e) => updateFilter("reportedFrom", e.target.value)}
+            />
+            <input
+              className="input"
+              type="date"
+              value={filters.reportedTo}
+              onChange={(e) => updateFilter("reportedTo", e.target.value)}
+            />
+            <select
+              className="select"
+              value={filters.sort}
+              onChange={(e) => updateFilter("sort", e.target.value)}
+            >
+              {(meta?.sortableFields || [filters.sort]).map((x) => (
+                <option key={x} value={x}>
+                  Sort: {x}
+                </option>
+              ))}
+            </select>
+            <select
+              className="select"
+              value={filters.order}
+              onChange={(e) => updateFilter("order", e.target.value)}
+            >
+              <option value="desc">Descending</option>
+              <option value="asc">Ascending</option>
+            </select>
+            <button
+              className="btn btn-secondary"
+              onClick={() => {
+                setFilters(EMPTY_FILTERS);
+                setPage(1);
+              }}
+            >
+              Clear
+            </button>
+            <button className="btn" onClick={load}>
+              Refresh
+            </button>
+            <a className="btn btn-secondary" href={exportIncidentsUrl(filters)}>
+              Export to Excel
+            </a>
+          </div>
+
+          <div className="table-wrap">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Title</th>
+                  <th>Category</th>
+                  <th>Severity</th>
+                  <th>Status</th>
+                  <th>Reported</th>
+                  <th>Action</th>
                 </tr>
-              ))
-            )}
-          </tbody>
-        </table>
-      </div>
+              </thead>
+              <tbody>
+                {items.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="muted">
+                      No incidents found
+                    </td>
+                  </tr>
+                ) : (
+                  items.map((i) => (
+                    <tr key={i.id}>
+                      <td className="mono">
+                        {i.id.slice ? i.id.slice(0, 8) : i.id}
+                      </td>
+                      <td>{i.title}</td>
+                      <td>
+                        <span className="tag">{i.category}</span>
+                      </td>
+                      <td>
+                        <span
+                          className={`tag ${severityClass(i.severity, meta)}`}
+                        >
+                          {i.severity}
+                        </span>
+                      </td>
+                      <td>
+                        <span className="tag">{i.status}</span>
+                      </td>
+                      <td className="mono">
+                        {(i.reportedAt || "").slice(0, 19).replace("T", " ")}
+                      </td>
+                      <td>
+                        <a className="link" href={`/incidents/${i.id}`}>
+                          View
+                        </a>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="row">
+            <button
+              className="btn btn-secondary"
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page <= 1}
+            >
+              Previous
+            </button>
+            <span className="muted">
+              Page {page} of {totalPages} ({total} incidents)
+            </span>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setPage((p) => p + 1)}
+              disabled={page >= totalPages}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
     </Layout>
   );
 }
+
+/**
+ * Highlighted Component
+ *
+ * Purpose: Renders search snippet segments, wrapping matched words in <mark>
+ * @param {Array} segments - [{ text, match }] as returned by the search API
+ */
+function Highlighted({ segments }) {
+  return (
+    <>
+      {(segments || []).map((seg, idx) =>
+        seg.match ? (
+          <mark key={idx}>{seg.text}</mark>
+        ) : (
+          <span key={idx}>{seg.text}</span>
+        ),
+      )}
+    </>
+  );
+}
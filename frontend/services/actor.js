@@ -0,0 +1,24 @@
+const STORAGE_KEY = "incidentTracker.actor";
+
+/*
+  Reads the name the user entered in the sidebar
+  Returns "" on the server or when nothing has been saved yet
+ */
+export function getActor() {
+  if (typeof window === "undefined") return "";
+  return window.localStorage.getItem(STORAGE_KEY) || "";
+}
+
+/*
+  Saves the user's name so it is sent with every change they make
+  @param {string} name - Display name; an empty value clears it
+ */
+export function setActor(name) {
+  if (typeof window === "undefined") return;
+  const trimmed = (name || "").trim();
+  if (trimmed) {
+    window.localStorage.setItem(STORAGE_KEY, trimmed);
+  } else {
+    window.localStorage.removeItem(STORAGE_KEY);
+  }
+}
@@ -1,5 +1,19 @@
+import { getActor } from "./actor";
+
 const BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3001";
 
+// Adds the X-Actor header so the backend can record who made a change
+function withActor(headers = {}) {
+  const actor = getActor();
+  return actor ? { ...headers, "X-Actor": actor } : headers;
+}
+
+// Adds If-Match for the incident version the user was looking at,
+// so the backend answers 412 instead of overwriting someone else's change
+function withVersion(headers, version) {
+  return version ? { ...headers, "If-Match": `"${version}"` } : headers;
+}
+
 async function handleJson(res) {
   const contentType = res.headers.get("content-type") || "";
   const isJson = contentType.includes("application/json");
@@ -13,28 +27,85 @@ async function handleJson(res) {
     const err = new Error(message);
     err.status = res.status;
     err.details = details;
+    err.body = body;
     throw err;
   }
 
   return body;
 }
 
+function toQuery(params) {
+  const qs = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === "") continue;
+    if (Array.isArray(value)) {
+      if (value.length > 0) qs.set(key, value.join(","));
+    } else {
+      qs.set(key, String(value));
+    }
+  }
+  return qs.toString();
+}
+
 export async function health() {
   const res = await fetch(`${BASE}/health`);
   return handleJson(res);
 }
 
 /*
-  Lists all incidents
-  GET /api/incidents?includeArchived=true/false
-  
-  Purpose: Retrieves all incidents, optionally including archived ones
-  @param {boolean} includeArchived - Whether to include archived incidents
-  @returns {Array} Array of incident objects
+  Gets the statuses, workflow, categories, severities and limits the backend enforces
+  GET /api/meta
+
+  Purpose: Lets pages build their selects, buttons and validation from the
+  server's configuration instead of keeping their own copies
+  @returns {Object} { statuses, initialStatus, closedStatuses, archivedStatus,
+    transitions, categories, severities, linkTypes, validation, attachments,
+    bulkUpload, duplicates, sortableFields }
+ */
+export async function getMeta() {
+  const res = await fetch(`${BASE}/api/meta`);
+  return handleJson(res);
+}
+
+/*
+  Lists incidents with filtering, sorting and pagination
+  GET /api/incidents?status=&category=&severity=&reportedFrom=&reportedTo=&sort=&order=&page=&limit=
+
+  Purpose: Retrieves one page of incidents matching the given filters
+  @param {Object} params - Query parameters; arrays are sent comma-separated
+  @returns {Object} { items, total, page, limit, totalPages }
  */
-export async function listIncidents(includeArchived = false) {
-  const url = `${BASE}/api/incidents?includeArchived=${includeArchived}`;
-  const res = await fetch(url);
+export async function listIncidents(params = {}) {
+  const res = await fetch(`${BASE}/api/incidents?${toQuery(params)}`);
+  return handleJson(res);
+}
+
+/*
+  Gets incident counts for the dashboard
+  GET /api/incidents/stats?includeArchived=true/false
+
+  @param {boolean} includeArchived - Whether archived incidents are counted
+  @returns {Object} { total, byStatus, byCategory, bySeverity }
+ */
+export async function getIncidentStats(includeArchived = false) {
+  const res = await fetch(
+    `${BASE}/api/incidents/stats?includeArchived=${includeArchived}`,
+  );
+  return handleJson(res);
+}
+
+/*
+  Full-text search across incident titles and descriptions
+  GET /api/incidents/search?q=&limit=&includeArchived=
+
+  @param {string} q - Search text (case-insensitive, prefix matching)
+  @param {Object} options - { limit, includeArchived }
+  @returns {Object} { query, total, results: [{ incident, score, highlights }] }
+ */
+export async function searchIncidents(q, options = {}) {
+  const res = await fetch(
+    `${BASE}/api/incidents/search?${toQuery({ q, ...options })}`,
+  );
   return handleJson(res);
 }
 
@@ -43,70 +114,365 @@ export async function getIncident(id) {
   return handleJson(res);
 }
 
-export async function createIncident(payload) {
-  const res = await fetch(`${BASE}/api/incidents`, {
+/*
+  Reports a new incident
+  POST /api/incidents?duplicatePolicy=
+
+  @param {Object} payload - title, description, category, severity, reportedBy, location
+  @param {Object} options - { duplicatePolicy }: "skip" refuses a likely duplicate
+    with a 409 (err.body.possibleDuplicates), "warn" creates it anyway and
+    "attach" creates it marked as a duplicate of the best match
+  @returns {Object} The new incident, with possibleDuplicates
+ */
+export async function createIncident(payload, options = {}) {
+  const qs = toQuery({ duplicatePolicy: options.duplicatePolicy });
+  const res = await fetch(`${BASE}/api/incidents${qs ? `?${qs}` : ""}`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: withActor({ "Content-Type": "application/json" }),
     body: JSON.stringify(payload),
   });
   return handleJson(res);
 }
 
-export async function changeIncidentStatus(id, status) {
+/*
+  Edits an incident's title, description, category or severity
+  PATCH /api/incidents/:id
+
+  @param {string} id - The incident UUID
+  @param {Object} changes - Only the fields being changed
+  @param {number} version - Incident version being edited (sent as If-Match)
+  @returns {Object} Updated incident, including its edits log
+ */
+export async function updateIncident(id, changes, version) {
+  const res = await fetch(`${BASE}/api/incidents/${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    headers: withVersion(
+      withActor({ "Content-Type": "application/json" }),
+      version,
+    ),
+    body: JSON.stringify(changes),
+  });
+  return handleJson(res);
+}
+
+/*
+  Lists the workflow transitions an incident can take from its current status
+  GET /api/incidents/:id/transitions
+
+  @param {string} id - The incident UUID
+  @returns {Array} [{ name, to, allowed, errors, requiresComment }]; errors say
+    why a transition is not allowed yet (e.g. open child incidents)
+ */
+export async function getIncidentTransitions(id) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/transitions`,
+  );
+  return handleJson(res);
+}
+
+/*
+  Moves an incident through a workflow transition
+  PATCH /api/incidents/:id/status
+
+  @param {string} id - The incident UUID
+  @param {string} transition - Transition name from getIncidentTransitions
+  @param {string} reason - Optional reason recorded in the history
+  @param {number} version - Incident version being changed (sent as If-Match)
+  @returns {Object} The updated incident
+ */
+export async function transitionIncident(id, transition, reason = "", version) {
   const res = await fetch(
     `${BASE}/api/incidents/${encodeURIComponent(id)}/status`,
     {
       method: "PATCH",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ status }),
+      headers: withVersion(
+        withActor({ "Content-Type": "application/json" }),
+        version,
+      ),
+      body: JSON.stringify({ transition, reason }),
     },
   );
   return handleJson(res);
 }
 
-export async function bulkUploadCsv(file) {
+/*
+  Download link for the filtered incident list as an Excel workbook
+  GET /api/incidents/export?format=xlsx&status=&category=...
+
+  @param {Object} params - The same filters and sort as listIncidents; paging is ignored
+ */
+export function exportIncidentsUrl(params = {}) {
+  const { page, limit, ...filters } = params;
+  const qs = toQuery({ ...filters, format: "xlsx" });
+  return `${BASE}/api/incidents/export?${qs}`;
+}
+
+/*
+  Imports incidents from a CSV file or Excel workbook
+  POST /api/incidents/bulk-upload
+
+  @param {File} file - The CSV file or .xlsx workbook
+  @param {Object} options - { dryRun } to validate and preview without creating anything,
+    { mapping } as { field: column } to override the automatic header matching,
+    { transactional } to import nothing unless every row is valid,
+    { sheet } to pick the worksheet of an .xlsx workbook,
+    { duplicatePolicy } warn | skip | attach for rows matching existing incidents
+  @returns {Object} A dry-run preview, or the started import job to poll with getImportJob
+ */
+export async function bulkUploadCsv(file, options = {}) {
   const fd = new FormData();
   fd.append("file", file);
+  if (options.dryRun) fd.append("dryRun", "true");
+  if (options.mapping) fd.append("mapping", JSON.stringify(options.mapping));
+  if (options.transactional) fd.append("transactional", "true");
+  if (options.sheet) fd.append("sheet", options.sheet);
+  if (options.duplicatePolicy) {
+    fd.append("duplicatePolicy", options.duplicatePolicy);
+  }
 
   const res = await fetch(`${BASE}/api/incidents/bulk-upload`, {
     method: "POST",
+    headers: withActor(),
     body: fd,
   });
 
   return handleJson(res);
 }
+
 /*
-  Archives an incident
-  POST /api/incidents/:id/archive
-  
-  Purpose: Moves an incident to archived status
-  @param {string} id - The incident UUID
-  @returns {Object} Archived incident object
+  Gets the progress of a background CSV import
+  GET /api/imports/:jobId
+
+  @param {string} jobId - The id returned by bulkUploadCsv
+  @returns {Object} { status, progress, processed, created, failed, rowErrors, ... }
+ */
+export async function getImportJob(jobId) {
+  const res = await fetch(`${BASE}/api/imports/${jobId}`);
+  return handleJson(res);
+}
+
+/*
+  Lists recorded import batches, newest first
+  GET /api/imports
+
+  @returns {Array} [{ id, fileName, uploadedBy, uploadedAt, created, failed, rolledBackAt, ... }]
+ */
+export async function listImports() {
+  const res = await fetch(`${BASE}/api/imports`);
+  return handleJson(res);
+}
+
+/*
+  Deletes every incident created by an import batch
+  POST /api/imports/:id/rollback
+
+  @param {string} id - The batch id
+  @param {boolean} force - Also delete incidents changed since the import
+  @returns {Object} { batch, removed, missing }; a 409 error lists `modified` ids when refused
+ */
+export async function rollbackImport(id, force = false) {
+  const res = await fetch(
+    `${BASE}/api/imports/${encodeURIComponent(id)}/rollback`,
+    {
+      method: "POST",
+      headers: withActor({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ force }),
+    },
+  );
+  return handleJson(res);
+}
+
+/*
+  Merges duplicate incidents into another one
+  POST /api/incidents/:id/merge
+
+  Purpose: Folds duplicate reports into the incident that survives
+  @param {string} targetId - The incident UUID to keep
+  @param {Array<string>} sourceIds - Incidents to merge into it; they are archived
+    and their comments and attachments move to the target
+  @param {string} reason - Optional reason recorded in every incident's history
+  @param {number} version - Target version being changed (sent as If-Match)
+  @param {Object} versions - Optional source ID -> version last seen; a stale
+    source is refused like a stale target
+  @returns {Object} The target incident after the merge
  */
-export async function archiveIncident(id) {
+export async function mergeIncidents(
+  targetId,
+  sourceIds,
+  reason = "",
+  version,
+  versions,
+) {
   const res = await fetch(
-    `${BASE}/api/incidents/${encodeURIComponent(id)}/archive`,
+    `${BASE}/api/incidents/${encodeURIComponent(targetId)}/merge`,
     {
       method: "POST",
+      headers: withVersion(
+        withActor({ "Content-Type": "application/json" }),
+        version,
+      ),
+      body: JSON.stringify({ sourceIds, reason, versions }),
     },
   );
   return handleJson(res);
 }
 
 /*
-  Resets an archived incident to OPEN
-  POST /api/incidents/:id/reset
-  
-  Purpose: Restores an archived incident back to active status
+  Gets the status transition history of an incident
+  GET /api/incidents/:id/history
+
   @param {string} id - The incident UUID
-  @returns {Object} Reset incident object
+  @returns {Array} Transitions { from, to, at, actor, reason }, oldest first
+ */
+export async function getIncidentHistory(id) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/history`,
+  );
+  return handleJson(res);
+}
+
+/*
+  Comments on an incident
+  GET/POST /api/incidents/:id/comments
+  PATCH/DELETE /api/incidents/:id/comments/:commentId
+
+  Editing and deleting are only allowed for the comment's author,
+  matched against the name sent in the X-Actor header.
+  Comments are part of the incident: changes take the incident version
+  (sent as If-Match) and move it on, so re-read the incident afterwards.
  */
-export async function resetIncident(id) {
+export async function listComments(id) {
   const res = await fetch(
-    `${BASE}/api/incidents/${encodeURIComponent(id)}/reset`,
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/comments`,
+  );
+  return handleJson(res);
+}
+
+export async function addComment(id, body, version) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/comments`,
     {
       method: "POST",
+      headers: withVersion(
+        withActor({ "Content-Type": "application/json" }),
+        version,
+      ),
+      body: JSON.stringify({ body }),
     },
   );
   return handleJson(res);
 }
+
+export async function updateComment(id, commentId, body, version) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/comments/${encodeURIComponent(commentId)}`,
+    {
+      method: "PATCH",
+      headers: withVersion(
+        withActor({ "Content-Type": "application/json" }),
+        version,
+      ),
+      body: JSON.stringify({ body }),
+    },
+  );
+  return handleJson(res);
+}
+
+export async function deleteComment(id, commentId, version) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/comments/${encodeURIComponent(commentId)}`,
+    {
+      method: "DELETE",
+      headers: withVersion(withActor(), version),
+    },
+  );
+  return handleJson(res);
+}
+
+/*
+  Links between incidents
+  GET/POST /api/incidents/:id/links
+  DELETE /api/incidents/:id/links/:incidentId?type=
+
+  Link types: parent-of, child-of, related-to, caused-by, causes,
+  duplicate-of, duplicated-by. The linked incident records the inverse type.
+  Changes take the incident version as If-Match, like comments.
+ */
+export async function listLinks(id) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/links`,
+  );
+  return handleJson(res);
+}
+
+export async function addLink(id, type, incidentId, version) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/links`,
+    {
+      method: "POST",
+      headers: withVersion(
+        withActor({ "Content-Type": "application/json" }),
+        version,
+      ),
+      body: JSON.stringify({ type, incidentId }),
+    },
+  );
+  return handleJson(res);
+}
+
+export async function removeLink(id, incidentId, type, version) {
+  const qs = toQuery({ type });
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/links/${encodeURIComponent(incidentId)}${qs ? `?${qs}` : ""}`,
+    {
+      method: "DELETE",
+      headers: withVersion(withActor(), version),
+    },
+  );
+  return handleJson(res);
+}
+
+/*
+  Attachments on an incident
+  GET/POST /api/incidents/:id/attachments
+  GET/DELETE /api/incidents/:id/attachments/:attachmentId
+
+  Like comments, uploads and deletes take the incident version as If-Match.
+ */
+export async function listAttachments(id) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/attachments`,
+  );
+  return handleJson(res);
+}
+
+export async function uploadAttachment(id, file, version) {
+  const fd = new FormData();
+  fd.append("file", file);
+
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/attachments`,
+    {
+      method: "POST",
+      headers: withVersion(withActor(), version),
+      body: fd,
+    },
+  );
+  return handleJson(res);
+}
+
+export async function deleteAttachment(id, attachmentId, version) {
+  const res = await fetch(
+    `${BASE}/api/incidents/${encodeURIComponent(id)}/attachments/${encodeURIComponent(attachmentId)}`,
+    {
+      method: "DELETE",
+      headers: withVersion(withActor(), version),
+    },
+  );
+  return handleJson(res);
+}
+
+// Direct link used by the browser to download an attachment
+export function attachmentUrl(id, attachmentId) {
+  return `${BASE}/api/incidents/${encodeURIComponent(id)}/attachments/${encodeURIComponent(attachmentId)}`;
+}
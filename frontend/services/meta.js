@@ -0,0 +1,100 @@
+import { useEffect, useState } from "react";
+import { getMeta } from "./api";
+
+// One request per page load; every component shares the same answer
+let pending = null;
+
+function loadMeta() {
+  if (!pending) {
+    pending = getMeta().catch((err) => {
+      // Let the next caller try again instead of caching the failure
+      pending = null;
+      throw err;
+    });
+  }
+  return pending;
+}
+
+/*
+  Reads the backend's statuses, workflow, taxonomy and limits (GET /api/meta)
+
+  Purpose: Gives pages one source for their selects, buttons and validation
+  @returns {Object} { meta, error } - meta is null until it has loaded
+ */
+export function useMeta() {
+  const [meta, setMeta] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let active = true;
+    loadMeta()
+      .then((data) => active && setMeta(data))
+      .catch((err) => active && setError(err.message));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return { meta, error };
+}
+
+/*
+  Checks incident form fields against the limits published in meta.validation
+  Mirrors the backend's rules so problems show up before saving
+
+  @param {Object} fields - title, description, category, severity, reportedBy, location
+  @param {Object} meta - The result of useMeta; nothing is checked until it has loaded
+  @returns {Array<string>} Error messages, empty when the fields are acceptable
+ */
+export function checkIncidentFields(fields, meta) {
+  if (!meta) return [];
+  const limits = meta.validation;
+  const errors = [];
+
+  for (const [field, label] of [
+    ["title", "Title"],
+    ["description", "Description"],
+  ]) {
+    const length = (fields[field] || "").trim().length;
+    if (length < limits[field].minLength) {
+      errors.push(
+        `${label} must be at least ${limits[field].minLength} characters`,
+      );
+    } else if (length > limits[field].maxLength) {
+      errors.push(
+        `${label} must not exceed ${limits[field].maxLength} characters`,
+      );
+    }
+  }
+
+  if (!meta.categories.includes(fields.category)) {
+    errors.push("Invalid category");
+  }
+  if (!meta.severities.includes(fields.severity)) {
+    errors.push("Invalid severity");
+  }
+
+  for (const [field, label] of [
+    ["reportedBy", "Reported by"],
+    ["location", "Location"],
+  ]) {
+    if ((fields[field] || "").trim().length > limits[field].maxLength) {
+      errors.push(
+        `${label} must not exceed ${limits[field].maxLength} characters`,
+      );
+    }
+  }
+
+  return errors;
+}
+
+/*
+  Tag class for a severity: the highest configured severity is shown as
+  danger and the one below it as a warning (severities are listed low to high)
+ */
+export function severityClass(severity, meta) {
+  const index = meta ? meta.severities.indexOf(severity) : -1;
+  if (index < 0) return "";
+  const fromTop = meta.severities.length - 1 - index;
+  return fromTop === 0 ? "tag-danger" : fromTop === 1 ? "tag-warn" : "";
+}